@@ -5,12 +5,16 @@ Main API server for serving predictions and earthquake data
 
 from fastapi import FastAPI, HTTPException, Query
 from fastapi.middleware.cors import CORSMiddleware
-from fastapi.responses import JSONResponse
+from fastapi.responses import JSONResponse, Response
 from pydantic import BaseModel, Field
 from typing import List, Optional, Dict, Any
+from contextlib import closing
 from datetime import datetime, timedelta, timezone
 import json
+import math
 import pickle
+import sqlite3
+import time
 from pathlib import Path
 import logging
 import requests
@@ -48,6 +52,7 @@ class Config:
     MODELS_DIR = Path(os.getenv("MODELS_DIR", "../models/regional_models"))
     USGS_API_URL = os.getenv("USGS_API_URL", "https://earthquake.usgs.gov/fdsnws/event/1/query")
     CACHE_DURATION = int(os.getenv("CACHE_DURATION", "300"))  # seconds
+    MBTILES_PATH = Path(os.getenv("MBTILES_PATH")) if os.getenv("MBTILES_PATH") else None
     
 Config.MODELS_DIR.mkdir(parents=True, exist_ok=True)
 
@@ -55,11 +60,18 @@ Config.MODELS_DIR.mkdir(parents=True, exist_ok=True)
 # DATA MODELS
 # ============================================================================
 
+class ForecastWindow(BaseModel):
+    start_days: float = Field(..., ge=0, le=36500, description="Window start, days after the mainshock")
+    end_days: float = Field(..., gt=0, le=36500, description="Window end, days after the mainshock")
+    label: Optional[str] = Field(None, max_length=60, description="Display label echoed back")
+
 class PredictionRequest(BaseModel):
     magnitude: float = Field(..., ge=3.0, le=10.0, description="Mainshock magnitude")
     latitude: float = Field(..., ge=-90, le=90, description="Latitude")
     longitude: float = Field(..., ge=-180, le=180, description="Longitude")
     tectonic_setting: Optional[str] = Field(None, description="Tectonic setting")
+    scenario: bool = Field(False, description="What-if scenario; may borrow a model from the same tectonic setting")
+    windows: Optional[List[ForecastWindow]] = Field(None, description="Custom forecast windows")
 
 class EarthquakeEvent(BaseModel):
     id: str
@@ -77,6 +89,35 @@ class EarthquakeEvent(BaseModel):
 # MODEL QUERY SYSTEM
 # ============================================================================
 
+# Standard normal quantile for two-sided 5-95% ranges
+UNCERTAINTY_Z = 1.645
+
+# Magnitude thresholds for exceedance probabilities
+MAGNITUDE_THRESHOLDS = [3.0, 4.0, 4.5, 5.0, 5.5, 6.0, 6.5, 7.0, 7.5, 8.0, 8.5]
+
+# Upper bound on custom forecast windows per prediction request
+MAX_FORECAST_WINDOWS = 20
+
+# Reasenberg & Jones (1989) generic productivity. The regional Omori fits
+# pool many sequences, so their K says nothing about a single mainshock.
+REASENBERG_JONES_A = -1.67
+
+# Båth's law: the largest aftershock is typically this much smaller than the
+# mainshock
+BATH_DELTA_M = 1.2
+
+def probability_thresholds(mainshock_mag: float) -> List[float]:
+    """MAGNITUDE_THRESHOLDS plus the mainshock magnitude rounded up to the
+    catalog's 0.1 bins, so the odds of a later event at least as large as
+    the mainshock are always listed"""
+    mainshock_bin = math.ceil(mainshock_mag * 10 - 1e-9) / 10
+    return sorted(set(MAGNITUDE_THRESHOLDS) | {mainshock_bin})
+
+def lognormal_range(value: float, log_std: float) -> List[float]:
+    """5-95% range of a quantity whose natural log has the given std"""
+    spread = np.exp(UNCERTAINTY_Z * log_std)
+    return [float(value / spread), float(value * spread)]
+
 class AftershockModelQuery:
     """Query system for loading and using trained models"""
     
@@ -133,15 +174,33 @@ class AftershockModelQuery:
         self,
         lat: float,
         lon: float,
-        tectonic_setting: Optional[str] = None
+        tectonic_setting: Optional[str] = None,
+        allow_analog: bool = False
     ) -> tuple[Dict, str]:
-        """Get appropriate model for earthquake location"""
+        """Get appropriate model for earthquake location.
+        
+        Only what-if scenarios set `allow_analog`; recorded events outside
+        every regional cell keep the global fallback.
+        """
         
         # Try exact regional match
         region_id = self.find_region_for_location(lat, lon)
         if region_id and region_id in self.regional_models:
             return self.regional_models[region_id], 'regional'
         
+        # Borrow the nearest regional model from the same tectonic setting
+        if allow_analog and tectonic_setting:
+            analogs = [
+                model for model in self.regional_models.values()
+                if model.get('tectonic_setting') == tectonic_setting
+            ]
+            if analogs:
+                nearest = min(
+                    analogs,
+                    key=lambda m: (m['center']['lat'] - lat) ** 2 + (m['center']['lon'] - lon) ** 2
+                )
+                return nearest, 'tectonic_analog'
+        
         # Use global fallback
         if self.global_model:
             return self.global_model, 'global_fallback'
@@ -154,12 +213,21 @@ class AftershockModelQuery:
         lat: float,
         lon: float,
         forecast_days: List[int] = [1, 7, 30, 365],
-        tectonic_setting: Optional[str] = None
+        tectonic_setting: Optional[str] = None,
+        windows: Optional[List[Dict]] = None,
+        scenario: bool = False
     ) -> Dict:
-        """Predict aftershocks for a new earthquake"""
+        """Predict aftershocks for a new earthquake.
+        
+        `windows` are extra forecast intervals as dicts with start_days and
+        end_days (after the mainshock) and an optional label. `scenario`
+        marks a what-if mainshock, which may borrow a tectonic analog model.
+        
+        Mirrored client-side in frontend/utils/forecast.js; keep the two in step.
+        """
         
         # Get appropriate model
-        model, source = self.get_model_for_earthquake(lat, lon, tectonic_setting)
+        model, source = self.get_model_for_earthquake(lat, lon, tectonic_setting, allow_analog=scenario)
         
         omori = model['omori']
         gr = model['gr']
@@ -180,8 +248,13 @@ class AftershockModelQuery:
                 'omori_r_squared': model.get('omori_r_squared', 0),
                 'gr_r_squared': model.get('gr_r_squared', 0)
             },
+            'parameters': {
+                'omori': dict(omori),
+                'gr': dict(gr)
+            },
             'forecasts': {},
             'magnitude_probabilities': {},
+            'windows': [],
             'risk_assessment': {}
         }
         
@@ -197,31 +270,70 @@ class AftershockModelQuery:
             else:
                 cumulative = K * np.log((days + c)/c)
             
+            _, cumulative_log_std = self._omori_window(omori, 0, days)
+            
             predictions['forecasts'][f'day_{days}'] = {
                 'days': days,
                 'rate_per_day': float(rate),
                 'expected_aftershocks': float(rate),
-                'cumulative_expected': float(cumulative)
+                'cumulative_expected': float(cumulative),
+                'rate_range': lognormal_range(rate, self._omori_rate_log_std(omori, days)),
+                'cumulative_range': lognormal_range(cumulative, cumulative_log_std)
             }
         
         # G-R magnitude predictions
         b_value = gr['b_value']
         a_value = gr['a_value']
         
-        magnitude_thresholds = [3.0, 4.0, 4.5, 5.0, 5.5, 6.0, 6.5]
-        
-        for mag_threshold in magnitude_thresholds:
+        # The catalog-wide G-R count ignores this sequence, so it only covers
+        # thresholds below the mainshock; foreshock odds come from
+        # Reasenberg-Jones
+        for mag_threshold in MAGNITUDE_THRESHOLDS:
             if mag_threshold < mainshock_magnitude:
                 # Expected number of aftershocks >= mag_threshold
                 N = 10 ** (a_value - b_value * mag_threshold)
-                probability = float(1 - np.exp(-N))
+                probability = float(-np.expm1(-N))
+                
+                # a and b errors combined as independent (no covariance is stored)
+                log_std = np.log(10) * np.sqrt(
+                    gr.get('a_std', 0) ** 2 + (mag_threshold * gr.get('b_std', 0)) ** 2
+                )
+                count_range = lognormal_range(N, log_std)
                 
                 predictions['magnitude_probabilities'][f'M{mag_threshold}'] = {
                     'magnitude': mag_threshold,
                     'expected_count': float(N),
                     'probability': probability,
-                    'percentage': probability * 100
+                    'percentage': probability * 100,
+                    'expected_count_range': count_range,
+                    'probability_range': [float(-np.expm1(-n)) for n in count_range]
+                }
+        
+        # Reasenberg-Jones probabilities from the mainshock to each snapshot
+        predictions['reasenberg_jones'] = {
+            'a_value': REASENBERG_JONES_A,
+            'b_value': float(b_value),
+            'p': float(p),
+            'c': float(c),
+            'windows': {
+                f'day_{days}': {
+                    'days': days,
+                    'magnitude_probabilities': self._reasenberg_jones_probabilities(
+                        omori, gr, mainshock_magnitude, 0, days
+                    )
                 }
+                for days in forecast_days
+            }
+        }
+        
+        # Largest aftershock (Båth's law)
+        predictions['largest_aftershock'] = self._largest_aftershock(gr, mainshock_magnitude)
+        
+        # Custom windows
+        for window in windows or []:
+            predictions['windows'].append(
+                self._forecast_window(omori, gr, mainshock_magnitude, window)
+            )
         
         # Risk assessment
         predictions['risk_assessment'] = self._assess_risk(
@@ -232,6 +344,147 @@ class AftershockModelQuery:
         
         return predictions
     
+    def _omori_rate_log_std(self, omori: Dict, days: float) -> float:
+        """First-order std of the log Omori rate at `days`, propagated from
+        the fitted p, c and K errors"""
+        
+        p, c, K = omori['p'], omori['c'], omori['K']
+        t = days + c
+        
+        # log n = log K - p log(t + c)
+        return float(np.sqrt(
+            (omori.get('K_std', 0) / K) ** 2 +
+            (np.log(t) * omori.get('p_std', 0)) ** 2 +
+            (p / t * omori.get('c_std', 0)) ** 2
+        ))
+    
+    def _omori_integral(self, omori: Dict, days: float) -> tuple[float, float, float]:
+        """Expected count from the mainshock to `days`, with its partial
+        derivatives in p and c"""
+        
+        p, c, K = omori['p'], omori['c'], omori['K']
+        t = days + c
+        
+        if p != 1:
+            q = 1 - p
+            count = K * (t ** q - c ** q) / q
+            dN_dp = -K * ((t ** q * np.log(t) - c ** q * np.log(c)) / q - count / (K * q))
+        else:
+            count = K * np.log(t / c)
+            dN_dp = -K * (np.log(t) ** 2 - np.log(c) ** 2) / 2
+        dN_dc = K * (t ** -p - c ** -p)
+        
+        return count, dN_dp, dN_dc
+    
+    def _omori_window(self, omori: Dict, start_days: float, end_days: float) -> tuple[float, float]:
+        """Expected count between two times after the mainshock and the
+        first-order std of its log"""
+        
+        start_count, start_dp, start_dc = self._omori_integral(omori, start_days)
+        end_count, end_dp, end_dc = self._omori_integral(omori, end_days)
+        count = end_count - start_count
+        
+        log_var = (
+            (omori.get('K_std', 0) / omori['K']) ** 2 +
+            ((end_dp - start_dp) * omori.get('p_std', 0) / count) ** 2 +
+            ((end_dc - start_dc) * omori.get('c_std', 0) / count) ** 2
+        )
+        
+        return float(count), float(np.sqrt(log_var))
+    
+    def _forecast_window(self, omori: Dict, gr: Dict, mainshock_mag: float, window: Dict) -> Dict:
+        """Integrated count and exceedance probabilities for one window,
+        scaled from the mainshock magnitude"""
+        
+        start, end = window['start_days'], window['end_days']
+        count, log_std = self._reasenberg_jones_count(omori, gr, mainshock_mag, gr['Mc'], start, end)
+        
+        return {
+            'label': window.get('label'),
+            'start_days': start,
+            'end_days': end,
+            'min_magnitude': gr['Mc'],
+            'expected_aftershocks': count,
+            'expected_range': lognormal_range(count, log_std),
+            'magnitude_probabilities': self._reasenberg_jones_probabilities(omori, gr, mainshock_mag, start, end)
+        }
+    
+    def _reasenberg_jones_count(
+        self,
+        omori: Dict,
+        gr: Dict,
+        mainshock_mag: float,
+        magnitude: float,
+        start_days: float,
+        end_days: float
+    ) -> tuple[float, float]:
+        """Expected events at or above `magnitude` between two times after
+        the mainshock from the Reasenberg-Jones rate 10^(a + b(Mm - M))
+        (t + c)^-p, with the region's b, p and c, and the first-order std of
+        its log"""
+        
+        # Omori integral at unit productivity; its log std carries p and c errors
+        decay, decay_log_std = self._omori_window({**omori, 'K': 1.0, 'K_std': 0}, start_days, end_days)
+        delta = mainshock_mag - magnitude
+        scaling_log_std = np.log(10) * abs(delta) * gr.get('b_std', 0)
+        
+        N = decay * 10 ** (REASENBERG_JONES_A + gr['b_value'] * delta)
+        return float(N), float(np.sqrt(decay_log_std ** 2 + scaling_log_std ** 2))
+    
+    def _reasenberg_jones_probabilities(
+        self,
+        omori: Dict,
+        gr: Dict,
+        mainshock_mag: float,
+        start_days: float,
+        end_days: float
+    ) -> Dict:
+        """Reasenberg-Jones exceedance probabilities between two times after
+        the mainshock"""
+        
+        mag_probs = {}
+        for mag_threshold in probability_thresholds(mainshock_mag):
+            N, log_std = self._reasenberg_jones_count(
+                omori, gr, mainshock_mag, mag_threshold, start_days, end_days
+            )
+            count_range = lognormal_range(N, log_std)
+            probability = float(-np.expm1(-N))
+            
+            mag_probs[f'M{mag_threshold}'] = {
+                'magnitude': mag_threshold,
+                'foreshock': mag_threshold >= mainshock_mag,
+                'expected_count': N,
+                'probability': probability,
+                'percentage': probability * 100,
+                'expected_count_range': count_range,
+                'probability_range': [float(-np.expm1(-n)) for n in count_range]
+            }
+        
+        return mag_probs
+    
+    def _largest_aftershock(self, gr: Dict, mainshock_mag: float) -> Dict:
+        """Distribution of the largest aftershock's magnitude from Båth's law
+        with the region's b-value (Shcherbakov & Turcotte, 2004): one event at
+        or above Mm - ΔM is expected, so P(largest < m) = exp(-10^(b(Mm - ΔM - m))),
+        a Gumbel distribution with its mode at Mm - ΔM"""
+        
+        b_value = gr['b_value']
+        mode = mainshock_mag - BATH_DELTA_M
+        scale = 1 / (b_value * np.log(10))
+        
+        def quantile(q: float) -> float:
+            return float(mode - scale * np.log(-np.log(q)))
+        
+        return {
+            'delta_m': BATH_DELTA_M,
+            'b_value': float(b_value),
+            'most_likely_magnitude': float(mode),
+            'expected_magnitude': float(mode + np.euler_gamma * scale),
+            'magnitude_range': [quantile(0.05), quantile(0.95)],
+            # A later event at or above the mainshock makes it a foreshock
+            'mainshock_exceedance_probability': float(1 - np.exp(-10 ** (-b_value * BATH_DELTA_M)))
+        }
+    
     def _assess_risk(
         self,
         mainshock_mag: float,
@@ -344,51 +597,86 @@ def get_query_system():
 # USGS DATA FETCHING
 # ============================================================================
 
+def parse_usgs_feature(feature: Dict) -> Dict:
+    """Convert a USGS GeoJSON feature into an earthquake event"""
+    props = feature['properties']
+    coords = feature['geometry']['coordinates']
+    
+    return {
+        'id': feature['id'],
+        'magnitude': props['mag'],
+        'latitude': coords[1],
+        'longitude': coords[0],
+        'depth': coords[2],
+        'time': datetime.fromtimestamp(props['time'] / 1000).isoformat(),
+        'place': props['place'],
+        'updated': datetime.fromtimestamp(props['updated'] / 1000).isoformat(),
+        'url': props['url'],
+        'detail_url': props.get('detail', '')
+    }
+
 @lru_cache(maxsize=10)
 def fetch_recent_earthquakes(
     days: int = 7,
     min_magnitude: float = 4.0,
-    max_results: int = 100
+    max_results: int = 100,
+    max_magnitude: Optional[float] = None,
+    min_depth: Optional[float] = None,
+    max_depth: Optional[float] = None,
+    start_time: Optional[datetime] = None,
+    end_time: Optional[datetime] = None,
+    latitude: Optional[float] = None,
+    longitude: Optional[float] = None,
+    max_radius_km: Optional[float] = None,
+    cache_bucket: int = 0
 ) -> List[Dict]:
-    """Fetch recent earthquakes from USGS"""
+    """Fetch earthquakes from USGS, either the last `days` days or an explicit
+    start/end window (either bound may be given; the other follows from `days`).
+    A latitude/longitude/max_radius_km circle restricts the search area.
+    
+    `cache_bucket` only varies the lru_cache key so cached results expire.
+    """
     
-    end_time = datetime.now(timezone.utc)
-    start_time = end_time - timedelta(days=days)
+    if start_time is None and end_time is None:
+        end_time = datetime.now(timezone.utc)
+        start_time = end_time - timedelta(days=days)
+    else:
+        end_time = end_time or min(start_time + timedelta(days=days), datetime.now(timezone.utc))
+        start_time = start_time or end_time - timedelta(days=days)
+    
+    # Full timestamps: a date-only endtime would cut off today's events
+    time_format = '%Y-%m-%dT%H:%M:%S'
     
     params = {
         'format': 'geojson',
-        'starttime': start_time.strftime('%Y-%m-%d'),
-        'endtime': end_time.strftime('%Y-%m-%d'),
+        'starttime': start_time.astimezone(timezone.utc).strftime(time_format),
+        'endtime': end_time.astimezone(timezone.utc).strftime(time_format),
         'minmagnitude': min_magnitude,
         'orderby': 'time',
         'limit': max_results
     }
     
+    # Optional range filters are applied by USGS itself
+    if max_magnitude is not None:
+        params['maxmagnitude'] = max_magnitude
+    if min_depth is not None:
+        params['mindepth'] = min_depth
+    if max_depth is not None:
+        params['maxdepth'] = max_depth
+    if max_radius_km is not None:
+        params['latitude'] = latitude
+        params['longitude'] = longitude
+        params['maxradiuskm'] = max_radius_km
+    
     try:
-        logger.info(f"Fetching earthquakes from USGS (days={days}, min_mag={min_magnitude})")
+        logger.info(f"Fetching earthquakes from USGS ({params['starttime']} to {params['endtime']}, min_mag={min_magnitude}, max_mag={max_magnitude}, depth={min_depth}-{max_depth})")
         response = requests.get(Config.USGS_API_URL, params=params, timeout=30)
         response.raise_for_status()
         
         data = response.json()
         features = data.get('features', [])
         
-        earthquakes = []
-        for feature in features:
-            props = feature['properties']
-            coords = feature['geometry']['coordinates']
-            
-            earthquakes.append({
-                'id': feature['id'],
-                'magnitude': props['mag'],
-                'latitude': coords[1],
-                'longitude': coords[0],
-                'depth': coords[2],
-                'time': datetime.fromtimestamp(props['time'] / 1000).isoformat(),
-                'place': props['place'],
-                'updated': datetime.fromtimestamp(props['updated'] / 1000).isoformat(),
-                'url': props['url'],
-                'detail_url': feature['properties']['detail']
-            })
+        earthquakes = [parse_usgs_feature(feature) for feature in features]
         
         # Sort earthquakes by magnitude (descending). Treat missing magnitudes as very small so they appear last.
         earthquakes.sort(key=lambda e: e.get('magnitude') if e.get('magnitude') is not None else -999, reverse=True)
@@ -400,6 +688,22 @@ def fetch_recent_earthquakes(
         logger.error(f"Error fetching earthquakes: {e}")
         return []
 
+def fetch_earthquake_by_id(event_id: str) -> Optional[Dict]:
+    """Fetch a single earthquake from USGS by event ID"""
+    
+    params = {
+        'format': 'geojson',
+        'eventid': event_id
+    }
+    
+    logger.info(f"Fetching earthquake {event_id} from USGS")
+    response = requests.get(Config.USGS_API_URL, params=params, timeout=30)
+    if response.status_code in (204, 404):
+        return None
+    response.raise_for_status()
+    
+    return parse_usgs_feature(response.json())
+
 # ============================================================================
 # API ENDPOINTS
 # ============================================================================
@@ -415,7 +719,8 @@ async def root():
             "earthquakes": "/api/earthquakes",
             "predict": "/api/predict",
             "models": "/api/models",
-            "health": "/api/health"
+            "health": "/api/health",
+            "tiles": "/api/tiles/{z}/{x}/{y}"
         }
     }
 
@@ -427,24 +732,72 @@ async def health_check():
         "status": "healthy",
         "models_loaded": len(qs.regional_models),
         "has_global_model": qs.global_model is not None,
+        "has_offline_tiles": Config.MBTILES_PATH is not None and Config.MBTILES_PATH.exists(),
         "timestamp": datetime.now(timezone.utc).isoformat()
     }
 
 @app.get("/api/earthquakes")
 async def get_earthquakes(
     days: int = Query(7, ge=1, le=365, description="Number of days to fetch"),
-    min_magnitude: float = Query(4.0, ge=2.5, le=10.0, description="Minimum magnitude")
+    min_magnitude: float = Query(4.0, ge=2.5, le=10.0, description="Minimum magnitude"),
+    limit: int = Query(100, ge=1, le=20000, description="Maximum number of events"),
+    max_magnitude: Optional[float] = Query(None, ge=2.5, le=10.0, description="Maximum magnitude"),
+    min_depth: Optional[float] = Query(None, ge=-100, le=1000, description="Minimum depth (km)"),
+    max_depth: Optional[float] = Query(None, ge=-100, le=1000, description="Maximum depth (km)"),
+    start: Optional[datetime] = Query(None, description="Window start (ISO 8601, UTC if no offset); overrides days"),
+    end: Optional[datetime] = Query(None, description="Window end (ISO 8601, UTC if no offset); overrides days"),
+    latitude: Optional[float] = Query(None, ge=-90, le=90, description="Search circle center latitude"),
+    longitude: Optional[float] = Query(None, ge=-180, le=180, description="Search circle center longitude"),
+    max_radius_km: Optional[float] = Query(None, gt=0, le=20001.6, description="Search circle radius (km)")
 ):
-    """Get recent earthquakes from USGS"""
+    """Get recent earthquakes from USGS, or those in an explicit start/end window"""
+    
+    # Naive timestamps are taken as UTC
+    if start is not None and start.tzinfo is None:
+        start = start.replace(tzinfo=timezone.utc)
+    if end is not None and end.tzinfo is None:
+        end = end.replace(tzinfo=timezone.utc)
+    
+    if start is not None and end is not None and end <= start:
+        raise HTTPException(status_code=400, detail="end must be after start")
+    
+    if max_magnitude is not None and max_magnitude < min_magnitude:
+        raise HTTPException(status_code=400, detail="max_magnitude must not be below min_magnitude")
+    if min_depth is not None and max_depth is not None and max_depth < min_depth:
+        raise HTTPException(status_code=400, detail="max_depth must not be below min_depth")
+    
+    circle = (latitude, longitude, max_radius_km)
+    if any(value is not None for value in circle) and any(value is None for value in circle):
+        raise HTTPException(status_code=400, detail="latitude, longitude and max_radius_km must be given together")
     
     try:
-        earthquakes = fetch_recent_earthquakes(days, min_magnitude)
+        earthquakes = fetch_recent_earthquakes(
+            days, min_magnitude, limit,
+            max_magnitude=max_magnitude,
+            min_depth=min_depth,
+            max_depth=max_depth,
+            start_time=start,
+            end_time=end,
+            latitude=latitude,
+            longitude=longitude,
+            max_radius_km=max_radius_km,
+            cache_bucket=int(time.time() // Config.CACHE_DURATION)
+        )
         return {
             "count": len(earthquakes),
             "earthquakes": earthquakes,
             "filters": {
                 "days": days,
-                "min_magnitude": min_magnitude
+                "min_magnitude": min_magnitude,
+                "max_magnitude": max_magnitude,
+                "min_depth": min_depth,
+                "max_depth": max_depth,
+                "start": start.isoformat() if start else None,
+                "end": end.isoformat() if end else None,
+                "latitude": latitude,
+                "longitude": longitude,
+                "max_radius_km": max_radius_km,
+                "limit": limit
             },
             "fetched_at": datetime.now(timezone.utc).isoformat()
         }
@@ -452,18 +805,50 @@ async def get_earthquakes(
         logger.error(f"Error in get_earthquakes: {e}")
         raise HTTPException(status_code=500, detail=str(e))
 
+@app.get("/api/earthquakes/{event_id}")
+async def get_earthquake(event_id: str):
+    """Get a single earthquake by its USGS event ID"""
+    
+    try:
+        earthquake = fetch_earthquake_by_id(event_id)
+        
+        if earthquake is None:
+            raise HTTPException(status_code=404, detail="Earthquake not found")
+        
+        return {
+            "earthquake": earthquake,
+            "fetched_at": datetime.now(timezone.utc).isoformat()
+        }
+        
+    except HTTPException:
+        raise
+    except Exception as e:
+        logger.error(f"Error in get_earthquake: {e}")
+        raise HTTPException(status_code=500, detail=str(e))
+
 @app.post("/api/predict")
 async def predict_aftershocks(request: PredictionRequest):
     """Predict aftershocks for an earthquake"""
     
     try:
+        windows = [window.model_dump() for window in request.windows or []]
+        if len(windows) > MAX_FORECAST_WINDOWS:
+            raise HTTPException(
+                status_code=400,
+                detail=f"At most {MAX_FORECAST_WINDOWS} forecast windows per request"
+            )
+        if any(window['end_days'] <= window['start_days'] for window in windows):
+            raise HTTPException(status_code=400, detail="Window end_days must be after start_days")
+        
         qs = get_query_system()
         
         predictions = qs.predict_aftershocks(
             mainshock_magnitude=request.magnitude,
             lat=request.latitude,
             lon=request.longitude,
-            tectonic_setting=request.tectonic_setting
+            tectonic_setting=request.tectonic_setting,
+            windows=windows,
+            scenario=request.scenario
         )
         
         return {
@@ -472,6 +857,8 @@ async def predict_aftershocks(request: PredictionRequest):
             "generated_at": datetime.now(timezone.utc).isoformat()
         }
         
+    except HTTPException:
+        raise
     except Exception as e:
         logger.error(f"Error in predict_aftershocks: {e}")
         raise HTTPException(status_code=500, detail=str(e))
@@ -492,7 +879,9 @@ async def get_model_coverage():
                 'quality': model.get('data_quality', 'unknown'),
                 'sequences': model.get('n_sequences', 0),
                 'aftershocks': model.get('n_total_aftershocks', 0),
-                'tectonic_setting': model.get('tectonic_setting', 'unknown')
+                'tectonic_setting': model.get('tectonic_setting', 'unknown'),
+                'omori_r_squared': model.get('omori_r_squared', 0),
+                'gr_r_squared': model.get('gr_r_squared', 0)
             })
         
         return {
@@ -528,6 +917,69 @@ async def get_model_details(region_id: str):
         logger.error(f"Error in get_model_details: {e}")
         raise HTTPException(status_code=500, detail=str(e))
 
+# ============================================================================
+# OFFLINE TILES
+# ============================================================================
+
+TILE_MEDIA_TYPES = {
+    'png': 'image/png',
+    'jpg': 'image/jpeg',
+    'jpeg': 'image/jpeg',
+    'webp': 'image/webp'
+}
+
+# Deepest zoom level accepted for tile requests
+MAX_TILE_ZOOM = 24
+
+def open_mbtiles():
+    """Read-only connection to the MBTiles file, closed on leaving the
+    `with` block (a bare sqlite3 connection only ends its transaction)"""
+    return closing(sqlite3.connect(f"file:{Config.MBTILES_PATH}?mode=ro", uri=True))
+
+@lru_cache(maxsize=1)
+def get_mbtiles_media_type() -> str:
+    """Read the tile image format from the MBTiles metadata table"""
+    with open_mbtiles() as conn:
+        row = conn.execute("SELECT value FROM metadata WHERE name = 'format'").fetchone()
+    return TILE_MEDIA_TYPES.get(row[0].lower() if row else 'png', 'image/png')
+
+@app.get("/api/tiles/{z}/{x}/{y}")
+async def get_tile(z: int, x: int, y: int):
+    """Serve a raster tile from the configured MBTiles file"""
+    
+    if Config.MBTILES_PATH is None or not Config.MBTILES_PATH.exists():
+        raise HTTPException(status_code=404, detail="Offline tiles not configured")
+    
+    if not 0 <= z <= MAX_TILE_ZOOM:
+        raise HTTPException(status_code=400, detail=f"Zoom must be between 0 and {MAX_TILE_ZOOM}")
+    if not (0 <= x < 1 << z and 0 <= y < 1 << z):
+        raise HTTPException(status_code=404, detail="Tile not found")
+    
+    try:
+        # MBTiles stores rows in TMS order (origin at the bottom)
+        tms_y = (1 << z) - 1 - y
+        
+        with open_mbtiles() as conn:
+            row = conn.execute(
+                "SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?",
+                (z, x, tms_y)
+            ).fetchone()
+        
+        if row is None:
+            raise HTTPException(status_code=404, detail="Tile not found")
+        
+        return Response(
+            content=row[0],
+            media_type=get_mbtiles_media_type(),
+            headers={"Cache-Control": f"public, max-age={Config.CACHE_DURATION}"}
+        )
+        
+    except HTTPException:
+        raise
+    except Exception as e:
+        logger.error(f"Error in get_tile: {e}")
+        raise HTTPException(status_code=500, detail=str(e))
+
 if __name__ == "__main__":
     import uvicorn
     uvicorn.run(app, host="0.0.0.0", port=8000)
\ No newline at end of file
@@ -0,0 +1,71 @@
+"""Export backend forecasts as fixtures for the frontend parity tests.
+
+The client-side engine in frontend/utils/forecast.js ports
+AftershockModelQuery.predict_aftershocks; its tests compare against the
+predictions written here. Re-run after changing either side:
+
+    cd backend && python scripts/export_forecast_fixtures.py
+"""
+
+import json
+import sys
+from pathlib import Path
+
+BACKEND_DIR = Path(__file__).resolve().parent.parent
+sys.path.insert(0, str(BACKEND_DIR))
+
+from main import AftershockModelQuery  # noqa: E402
+
+MODELS_DIR = BACKEND_DIR.parent / 'models' / 'regional_models'
+OUTPUT_PATH = BACKEND_DIR.parent / 'frontend' / '__tests__' / 'fixtures' / 'backend-forecasts.json'
+
+# Mainshocks covering a regional model, a steep-b region and the global
+# fallback, at magnitudes below and above the top thresholds and one between
+# the catalog's 0.1 bins
+CASES = [
+    {'magnitude': 5.5, 'latitude': 35.7, 'longitude': 139.7},
+    {'magnitude': 7.1, 'latitude': 35.7, 'longitude': 139.7},
+    {'magnitude': 6.35, 'latitude': 35.7, 'longitude': 139.7},
+    {'magnitude': 6.2, 'latitude': -47.5, 'longitude': 167.5},
+    {'magnitude': 8.8, 'latitude': -47.5, 'longitude': 167.5},
+    {'magnitude': 4.6, 'latitude': 0.0, 'longitude': -140.0},
+    {'magnitude': 7.8, 'latitude': 0.0, 'longitude': -140.0},
+]
+
+WINDOWS = [
+    {'start_days': 0, 'end_days': 1, 'label': 'First day'},
+    {'start_days': 0.25, 'end_days': 7.25, 'label': 'Next 7 days'},
+    {'start_days': 3, 'end_days': 10, 'label': None},
+    {'start_days': 30, 'end_days': 365, 'label': 'Rest of the year'},
+]
+
+
+def main():
+    query = AftershockModelQuery(MODELS_DIR)
+    
+    fixtures = []
+    for case in CASES:
+        model, source = query.get_model_for_earthquake(case['latitude'], case['longitude'])
+        predictions = query.predict_aftershocks(
+            mainshock_magnitude=case['magnitude'],
+            lat=case['latitude'],
+            lon=case['longitude'],
+            windows=WINDOWS
+        )
+        fixtures.append({
+            **case,
+            'model': model,
+            'source': source,
+            'windows': WINDOWS,
+            'predictions': predictions
+        })
+    
+    OUTPUT_PATH.parent.mkdir(parents=True, exist_ok=True)
+    with open(OUTPUT_PATH, 'w') as f:
+        json.dump(fixtures, f, indent=2)
+        f.write('\n')
+    print(f"Wrote {len(fixtures)} cases to {OUTPUT_PATH}")
+
+
+if __name__ == '__main__':
+    main()
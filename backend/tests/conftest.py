@@ -0,0 +1,19 @@
+import os
+import sys
+from pathlib import Path
+
+import pytest
+
+BACKEND_DIR = Path(__file__).resolve().parent.parent
+MODELS_DIR = BACKEND_DIR.parent / 'models' / 'regional_models'
+
+# main reads MODELS_DIR at import time
+os.environ.setdefault('MODELS_DIR', str(MODELS_DIR))
+sys.path.insert(0, str(BACKEND_DIR))
+
+import main  # noqa: E402
+
+
+@pytest.fixture(scope='session')
+def query_system():
+    return main.get_query_system()
@@ -0,0 +1,58 @@
+"""Which model a prediction uses for a location"""
+
+import pytest
+from fastapi.testclient import TestClient
+
+import main
+
+# Inside a regional cell (Tokyo) and in open ocean outside every cell
+TOKYO = (35.7, 139.7)
+OPEN_OCEAN = (0.0, -140.0)
+
+
+@pytest.fixture(scope='module')
+def client(query_system):
+    return TestClient(main.app)
+
+
+@pytest.mark.parametrize('tectonic_setting', [None, 'ring_of_fire', 'stable_continental'])
+@pytest.mark.parametrize('allow_analog', [False, True])
+def test_regional_cell_wins(query_system, tectonic_setting, allow_analog):
+    model, source = query_system.get_model_for_earthquake(*TOKYO, tectonic_setting, allow_analog=allow_analog)
+    
+    assert source == 'regional'
+    assert model['region_id'] == 'region_1791'
+
+
+@pytest.mark.parametrize('tectonic_setting', [None, 'ring_of_fire'])
+def test_recorded_events_outside_cells_use_global_fallback(query_system, tectonic_setting):
+    _, source = query_system.get_model_for_earthquake(*OPEN_OCEAN, tectonic_setting)
+    
+    assert source == 'global_fallback'
+
+
+def test_scenarios_borrow_a_tectonic_analog(query_system):
+    model, source = query_system.get_model_for_earthquake(*OPEN_OCEAN, 'ring_of_fire', allow_analog=True)
+    
+    assert source == 'tectonic_analog'
+    assert model['tectonic_setting'] == 'ring_of_fire'
+
+
+def test_scenarios_without_a_setting_use_global_fallback(query_system):
+    _, source = query_system.get_model_for_earthquake(*OPEN_OCEAN, allow_analog=True)
+    
+    assert source == 'global_fallback'
+
+
+@pytest.mark.parametrize('scenario, expected', [(False, 'global_fallback'), (True, 'tectonic_analog')])
+def test_predict_endpoint_gates_analogs_on_scenario(client, scenario, expected):
+    response = client.post('/api/predict', json={
+        'magnitude': 6.0,
+        'latitude': OPEN_OCEAN[0],
+        'longitude': OPEN_OCEAN[1],
+        'tectonic_setting': 'ring_of_fire',
+        'scenario': scenario
+    })
+    
+    assert response.status_code == 200
+    assert response.json()['predictions']['model_info']['source'] == expected
@@ -0,0 +1,68 @@
+"""Offline tiles served from an MBTiles file"""
+
+import sqlite3
+
+import pytest
+from fastapi.testclient import TestClient
+
+import main
+
+TILE = b'\x89PNG tile'
+
+
+@pytest.fixture
+def client(tmp_path, monkeypatch):
+    path = tmp_path / 'tiles.mbtiles'
+    conn = sqlite3.connect(path)
+    conn.execute("CREATE TABLE metadata (name TEXT, value TEXT)")
+    conn.execute("CREATE TABLE tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB)")
+    conn.execute("INSERT INTO metadata VALUES ('format', 'png')")
+    # z1 x1 y0 in XYZ is TMS row 1
+    conn.execute("INSERT INTO tiles VALUES (1, 1, 1, ?)", (TILE,))
+    conn.commit()
+    conn.close()
+    
+    monkeypatch.setattr(main.Config, 'MBTILES_PATH', path)
+    main.get_mbtiles_media_type.cache_clear()
+    yield TestClient(main.app)
+    main.get_mbtiles_media_type.cache_clear()
+
+
+def test_serves_tiles_in_xyz_order(client):
+    response = client.get('/api/tiles/1/1/0')
+    
+    assert response.status_code == 200
+    assert response.content == TILE
+    assert response.headers['content-type'] == 'image/png'
+
+
+def test_missing_tile(client):
+    assert client.get('/api/tiles/1/0/0').status_code == 404
+
+
+@pytest.mark.parametrize('z', [-1, main.MAX_TILE_ZOOM + 1])
+def test_rejects_out_of_range_zoom(client, z):
+    assert client.get(f'/api/tiles/{z}/0/0').status_code == 400
+
+
+@pytest.mark.parametrize('x, y', [(-1, 0), (0, -1), (2, 0), (0, 2)])
+def test_coordinates_outside_the_zoom_level(client, x, y):
+    assert client.get(f'/api/tiles/1/{x}/{y}').status_code == 404
+
+
+def test_connections_are_closed(client, monkeypatch):
+    opened = []
+    connect = sqlite3.connect
+    
+    def tracking_connect(*args, **kwargs):
+        conn = connect(*args, **kwargs)
+        opened.append(conn)
+        return conn
+    
+    monkeypatch.setattr(main.sqlite3, 'connect', tracking_connect)
+    client.get('/api/tiles/1/1/0')
+    
+    assert opened
+    for conn in opened:
+        with pytest.raises(sqlite3.ProgrammingError):
+            conn.execute('SELECT 1')
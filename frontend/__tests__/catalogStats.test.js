@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { completenessMagnitude, fitGutenbergRichter, magnitudeFrequency } from '@/utils/catalogStats';
+
+const quake = (magnitude) => ({ magnitude });
+
+// Binned catalog following log10 N(>= M) = 4 - (M - 3) complete from M3.0,
+// with a tapering incomplete tail below it
+const syntheticCatalog = () => {
+  const catalog = [];
+  const add = (magnitude, count) => {
+    for (let i = 0; i < count; i++) catalog.push(quake(magnitude));
+  };
+
+  [200, 500, 900, 1400, 1800].forEach((count, idx) => add(2.5 + idx * 0.1, count));
+  for (let tenths = 30; tenths < 70; tenths++) {
+    const m = tenths / 10;
+    add(m, Math.round(10000 * (10 ** -(m - 3) - 10 ** -(m + 0.1 - 3))));
+  }
+  return catalog;
+};
+
+describe('magnitudeFrequency', () => {
+  it('bins to 0.1 units with cumulative counts from the top', () => {
+    const bins = magnitudeFrequency([4.04, 4.06, 4.3, null].map(quake));
+
+    expect(bins.map((bin) => bin.magnitude)).toEqual([4.0, 4.1, 4.2, 4.3]);
+    expect(bins.map((bin) => bin.count)).toEqual([1, 1, 0, 1]);
+    expect(bins.map((bin) => bin.cumulative)).toEqual([3, 2, 1, 1]);
+  });
+});
+
+describe('completenessMagnitude', () => {
+  it('takes the most populated bin plus the maximum-curvature correction', () => {
+    expect(completenessMagnitude(magnitudeFrequency(syntheticCatalog()))).toBe(3.2);
+  });
+
+  it('is null for an empty catalog', () => {
+    expect(completenessMagnitude([])).toBeNull();
+  });
+});
+
+describe('fitGutenbergRichter', () => {
+  it('recovers the b-value of a complete catalog', () => {
+    const catalog = syntheticCatalog();
+    const fit = fitGutenbergRichter(catalog, completenessMagnitude(magnitudeFrequency(catalog)));
+
+    expect(fit.mc).toBe(3.2);
+    expect(fit.b).toBeCloseTo(1.0, 1);
+    expect(fit.bStd).toBeGreaterThan(0);
+    expect(fit.bStd).toBeLessThan(0.05);
+    // log10 N(>= Mc) = a - b Mc
+    expect(fit.a - fit.b * fit.mc).toBeCloseTo(Math.log10(fit.count), 10);
+  });
+
+  it('matches the Aki-Utsu estimate for a small sample', () => {
+    const magnitudes = [3.0, 3.0, 3.1, 3.2, 3.4, 3.5, 3.9, 4.6];
+    const fit = fitGutenbergRichter(magnitudes.map(quake), 3.0, 5);
+    const mean = magnitudes.reduce((sum, m) => sum + m, 0) / magnitudes.length;
+
+    expect(fit.b).toBeCloseTo(Math.LOG10E / (mean - 2.95), 10);
+    expect(fit.count).toBe(8);
+  });
+
+  it('ignores events below Mc and needs enough events above it', () => {
+    const catalog = [2.0, 2.5, 3.0, 3.3, 3.6].map(quake);
+
+    expect(fitGutenbergRichter(catalog, 3.0, 3).count).toBe(3);
+    expect(fitGutenbergRichter(catalog, 3.0, 4)).toBeNull();
+    expect(fitGutenbergRichter(catalog, null)).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { declusterEarthquakes, gardnerKnopoffWindow } from '@/utils/declustering';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+// Event `days` after T0 and `northKm` due north of 35°N 140°E
+const event = (id, magnitude, days, northKm = 0) => ({
+  id,
+  magnitude,
+  latitude: 35 + northKm / 111.2,
+  longitude: 140,
+  time: T0 + days * DAY_MS,
+});
+
+const sequenceIds = (sequences) =>
+  Object.fromEntries(sequences.map((sequence) => [sequence.id, sequence.aftershocks.map((eq) => eq.id)]));
+
+describe('gardnerKnopoffWindow', () => {
+  it('matches the published windows', () => {
+    expect(gardnerKnopoffWindow(5).distanceKm).toBeCloseTo(40.0, 0);
+    expect(gardnerKnopoffWindow(5).days).toBeCloseTo(143.7, 0);
+    expect(gardnerKnopoffWindow(7).distanceKm).toBeCloseTo(70.7, 0);
+    expect(gardnerKnopoffWindow(7).days).toBeCloseTo(918.3, 0);
+  });
+});
+
+describe('declusterEarthquakes', () => {
+  it('groups the events inside the mainshock window that follow it', () => {
+    const sequences = declusterEarthquakes([
+      event('near-later', 4.2, 20, 30),
+      event('mainshock', 6.0, 0),
+      event('near-soon', 4.5, 1, 10),
+      event('too-far', 4.0, 1, 100),
+      event('too-late', 4.0, 600, 5),
+      event('foreshock', 4.8, -1, 5),
+    ]);
+
+    expect(sequenceIds(sequences)).toEqual({
+      mainshock: ['near-soon', 'near-later'],
+      foreshock: [],
+      'too-far': [],
+      'too-late': [],
+    });
+  });
+
+  it('lets the largest event claim first', () => {
+    // The M5 comes first, but the later M6.5's window takes the M4 from it
+    const sequences = declusterEarthquakes([
+      event('m5', 5.0, 0),
+      event('m6.5', 6.5, 2, 20),
+      event('m4', 4.0, 3, 15),
+    ]);
+
+    expect(sequenceIds(sequences)).toEqual({ 'm6.5': ['m4'], m5: [] });
+  });
+
+  it('places every event in exactly one sequence', () => {
+    const catalog = Array.from({ length: 40 }, (_, idx) => event(`eq-${idx}`, 3 + (idx % 7) * 0.5, idx * 3, (idx % 5) * 25));
+    const sequences = declusterEarthquakes(catalog);
+
+    const members = sequences.flatMap((sequence) => [sequence.mainshock, ...sequence.aftershocks].map((eq) => eq.id));
+    expect(members.sort()).toEqual(catalog.map((eq) => eq.id).sort());
+  });
+});
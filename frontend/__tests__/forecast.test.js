@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import {
+  omoriCumulative,
+  forecastWindow,
+  predictFromModel,
+  reasenbergJonesProbabilities,
+  largestAftershock,
+  probabilityThresholds,
+  findRegionForLocation,
+} from '@/utils/forecast';
+import fixtures from './fixtures/backend-forecasts.json';
+
+// Fixtures come from backend/scripts/export_forecast_fixtures.py; rerun it
+// after changing either engine
+
+const TOLERANCE = 1e-9;
+
+// Deep comparison with a relative tolerance on numbers
+const expectClose = (actual, expected, path = 'value') => {
+  if (typeof expected === 'number') {
+    expect(typeof actual, path).toBe('number');
+    const scale = Math.max(Math.abs(expected), 1e-12);
+    expect(Math.abs(actual - expected) / scale, `${path}: ${actual} vs ${expected}`).toBeLessThan(TOLERANCE);
+  } else if (Array.isArray(expected)) {
+    expect(actual, path).toHaveLength(expected.length);
+    expected.forEach((item, idx) => expectClose(actual[idx], item, `${path}[${idx}]`));
+  } else if (expected && typeof expected === 'object') {
+    expect(Object.keys(actual).sort(), path).toEqual(Object.keys(expected).sort());
+    Object.keys(expected).forEach((key) => expectClose(actual[key], expected[key], `${path}.${key}`));
+  } else {
+    expect(actual, path).toEqual(expected);
+  }
+};
+
+describe.each(fixtures)('M$magnitude at ($latitude, $longitude)', (fixture) => {
+  const { model, source, magnitude, latitude, longitude, windows, predictions } = fixture;
+  const { omori, gr } = model;
+
+  it('matches the backend cumulative counts', () => {
+    Object.values(predictions.forecasts).forEach((forecast) => {
+      expectClose(omoriCumulative(omori, forecast.days), forecast.cumulative_expected, `day_${forecast.days}`);
+    });
+  });
+
+  it('matches the backend window counts and probabilities', () => {
+    windows.forEach((interval, idx) => {
+      expectClose(forecastWindow(omori, gr, magnitude, interval), predictions.windows[idx], `windows[${idx}]`);
+    });
+  });
+
+  it('matches the backend Reasenberg-Jones probabilities', () => {
+    Object.entries(predictions.reasenberg_jones.windows).forEach(([key, entry]) => {
+      expectClose(
+        reasenbergJonesProbabilities(omori, gr, magnitude, 0, entry.days),
+        entry.magnitude_probabilities,
+        key
+      );
+    });
+  });
+
+  it('matches the backend largest-aftershock distribution', () => {
+    expectClose(largestAftershock(gr, magnitude), predictions.largest_aftershock);
+  });
+
+  it('matches the full backend prediction', () => {
+    expectClose(predictFromModel(model, source, magnitude, latitude, longitude, { windows }), predictions);
+  });
+});
+
+describe('forecastWindow', () => {
+  const { omori, gr } = fixtures[0].model;
+  const interval = { start_days: 3, end_days: 10 };
+
+  it('scales window probabilities with the mainshock', () => {
+    const smaller = forecastWindow(omori, gr, 5.5, interval).magnitude_probabilities['M5.0'];
+    const larger = forecastWindow(omori, gr, 7.1, interval).magnitude_probabilities['M5.0'];
+
+    expect(smaller.probability).toBeLessThan(0.5);
+    expect(larger.probability).toBeGreaterThan(smaller.probability);
+    expect(larger.expected_count / smaller.expected_count).toBeCloseTo(Math.pow(10, gr.b_value * 1.6), 6);
+  });
+});
+
+describe('foreshock thresholds', () => {
+  const { omori, gr } = fixtures[0].model;
+
+  it('lists the mainshock bin and every larger threshold', () => {
+    expect(probabilityThresholds(6.35).filter((threshold) => threshold >= 6.35)).toEqual([6.4, 6.5, 7.0, 7.5, 8.0, 8.5]);
+    expect(probabilityThresholds(7.0).filter((threshold) => threshold === 7.0)).toHaveLength(1);
+  });
+
+  it('flags thresholds at or above the mainshock as foreshock odds', () => {
+    const probabilities = reasenbergJonesProbabilities(omori, gr, 7.1, 0, 7);
+
+    expect(probabilities['M7.0'].foreshock).toBe(false);
+    expect(probabilities['M7.1'].foreshock).toBe(true);
+    expect(probabilities['M8.5'].foreshock).toBe(true);
+    expect(probabilities['M7.1'].probability).toBeGreaterThan(probabilities['M8.5'].probability);
+    expect(probabilities['M8.5'].probability).toBeGreaterThan(0);
+  });
+
+  it('keeps the sequence-blind regional G-R odds below the mainshock', () => {
+    const { magnitude_probabilities: probabilities } = predictFromModel(fixtures[0].model, 'regional', 6.0, 35.7, 139.7);
+
+    expect(Object.keys(probabilities)).toEqual(['M3.0', 'M4.0', 'M4.5', 'M5.0', 'M5.5']);
+    expect(Object.values(probabilities).some((prob) => 'foreshock' in prob)).toBe(false);
+  });
+});
+
+describe('findRegionForLocation', () => {
+  const regions = [
+    { region_id: 'region_a', tectonic_setting: 'ring_of_fire', center: { lat: 2.5, lon: 2.5 }, bounds: { lat: [0, 5], lon: [0, 5] } },
+    { region_id: 'region_b', tectonic_setting: 'other', center: { lat: 12.5, lon: 12.5 }, bounds: { lat: [10, 15], lon: [10, 15] } },
+  ];
+
+  it('uses the cell containing the location', () => {
+    expect(findRegionForLocation(regions, 1, 1, 'other', true)).toEqual({ regionId: 'region_a', source: 'regional' });
+  });
+
+  it('keeps the global fallback for recorded events outside every cell', () => {
+    expect(findRegionForLocation(regions, 30, 30, 'other')).toBeNull();
+  });
+
+  it('lets scenarios borrow the nearest model of the same setting', () => {
+    expect(findRegionForLocation(regions, 30, 30, 'ring_of_fire', true)).toEqual({
+      regionId: 'region_a',
+      source: 'tectonic_analog',
+    });
+  });
+});
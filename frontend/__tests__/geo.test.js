@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  filterEarthquakesInShape,
+  getCrossSectionEvents,
+  haversineDistance,
+  isPointInPolygon,
+  profileCorridor,
+  rectangleToLatLngs,
+  wrapRing,
+} from '@/utils/geo';
+
+// Concave "L" covering the lower-left three quarters of a 2° x 2° square
+const lShape = [
+  [0, 0],
+  [0, 2],
+  [1, 2],
+  [1, 1],
+  [2, 1],
+  [2, 0],
+];
+
+describe('isPointInPolygon', () => {
+  it('follows a concave outline', () => {
+    expect(isPointInPolygon(0.5, 1.5, lShape)).toBe(true);
+    expect(isPointInPolygon(1.5, 0.5, lShape)).toBe(true);
+    expect(isPointInPolygon(1.5, 1.5, lShape)).toBe(false);
+    expect(isPointInPolygon(-0.5, 0.5, lShape)).toBe(false);
+  });
+
+  it('handles rings that cross the antimeridian', () => {
+    const ring = rectangleToLatLngs([-20, 175], [-10, 185]);
+
+    expect(isPointInPolygon(-15, 178, ring)).toBe(true);
+    expect(isPointInPolygon(-15, -178, ring)).toBe(true);
+    expect(isPointInPolygon(-15, 170, ring)).toBe(false);
+    expect(isPointInPolygon(-15, -170, ring)).toBe(false);
+  });
+
+  it('handles rings drawn on a wrapped world copy', () => {
+    const ring = rectangleToLatLngs([30, 130 + 360], [40, 145 + 360]);
+
+    expect(isPointInPolygon(35, 139.7, ring)).toBe(true);
+    expect(isPointInPolygon(35, 150, ring)).toBe(false);
+  });
+});
+
+describe('wrapRing', () => {
+  it('moves the ring back to canonical longitudes in one piece', () => {
+    expect(wrapRing([[0, 535], [0, 550], [10, 550]])).toEqual([[0, 175], [0, 190], [10, 190]]);
+  });
+});
+
+describe('filterEarthquakesInShape', () => {
+  const earthquakes = [
+    { id: 'inside', latitude: 0.5, longitude: 1.5 },
+    { id: 'notch', latitude: 1.5, longitude: 1.5 },
+  ];
+
+  it('keeps the events inside the shape', () => {
+    const shape = { type: 'polygon', latlngs: lShape };
+    expect(filterEarthquakesInShape(earthquakes, shape).map((eq) => eq.id)).toEqual(['inside']);
+  });
+
+  it('keeps everything without a shape', () => {
+    expect(filterEarthquakesInShape(earthquakes, null)).toBe(earthquakes);
+  });
+});
+
+describe('getCrossSectionEvents', () => {
+  // Profile two degrees east along the equator, about 222 km long
+  const start = [0, 0];
+  const end = [0, 2];
+  const earthquakes = [
+    { id: 'north', latitude: 0.1, longitude: 1 },
+    { id: 'south', latitude: -0.1, longitude: 1.5 },
+    { id: 'wide', latitude: 0.5, longitude: 1 },
+    { id: 'behind', latitude: 0, longitude: -0.5 },
+    { id: 'beyond', latitude: 0, longitude: 2.5 },
+  ];
+
+  it('keeps events in the swath with their distance along the profile', () => {
+    const selected = getCrossSectionEvents(earthquakes, start, end, 20);
+
+    expect(selected.map((item) => item.earthquake.id)).toEqual(['north', 'south']);
+    expect(selected[0].alongTrackKm).toBeCloseTo(haversineDistance(start, [0, 1]), 0);
+    expect(selected[1].alongTrackKm).toBeCloseTo(haversineDistance(start, [0, 1.5]), 0);
+    expect(Math.abs(selected[0].crossTrackKm)).toBeCloseTo(haversineDistance([0, 1], [0.1, 1]), 1);
+    // Opposite sides of the line have opposite signs
+    expect(Math.sign(selected[0].crossTrackKm)).toBe(-Math.sign(selected[1].crossTrackKm));
+  });
+
+  it('widens with the half-width', () => {
+    const ids = getCrossSectionEvents(earthquakes, start, end, 60).map((item) => item.earthquake.id);
+    expect(ids).toEqual(['north', 'south', 'wide']);
+  });
+
+  it('matches the corridor drawn on the map', () => {
+    const corridor = profileCorridor(start, end, 20);
+    const selected = getCrossSectionEvents(earthquakes, start, end, 20).map((item) => item.earthquake.id);
+    const inCorridor = earthquakes.filter((eq) => isPointInPolygon(eq.latitude, eq.longitude, corridor)).map((eq) => eq.id);
+
+    expect(inCorridor).toEqual(selected);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { predictAftershocks, fetchModelCoverage } from '@/utils/api';
+import { getAftershockForecast } from '@/utils/forecast';
+
+vi.mock('@/utils/api', () => ({
+  predictAftershocks: vi.fn(),
+  fetchModelCoverage: vi.fn(),
+  fetchModelDetails: vi.fn(),
+}));
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: { detail: 'Invalid request' } },
+});
+
+describe('getAftershockForecast', () => {
+  beforeEach(() => {
+    vi.mocked(predictAftershocks).mockReset();
+    vi.mocked(fetchModelCoverage).mockRejectedValue(new Error('Network Error'));
+  });
+
+  it('returns the backend forecast when it responds', async () => {
+    const response = { success: true, predictions: {} };
+    vi.mocked(predictAftershocks).mockResolvedValue(response);
+
+    await expect(getAftershockForecast(5.5, 35.7, 139.7)).resolves.toBe(response);
+  });
+
+  it('computes locally when the backend is unreachable', async () => {
+    vi.mocked(predictAftershocks).mockRejectedValue(new Error('Network Error'));
+
+    const response = await getAftershockForecast(5.5, 35.7, 139.7);
+    expect(response.computed_locally).toBe(true);
+    expect(response.predictions.model_info.source).toBe('global_fallback');
+  });
+
+  it('computes locally when the backend fails', async () => {
+    vi.mocked(predictAftershocks).mockRejectedValue(httpError(503));
+
+    const response = await getAftershockForecast(5.5, 35.7, 139.7);
+    expect(response.computed_locally).toBe(true);
+  });
+
+  it('rethrows validation errors', async () => {
+    const error = httpError(422);
+    vi.mocked(predictAftershocks).mockRejectedValue(error);
+
+    await expect(getAftershockForecast(12, 35.7, 139.7)).rejects.toBe(error);
+  });
+});
+
+describe('getAftershockForecast offline', () => {
+  const regionalModel = {
+    region_id: 'region_0001',
+    data_quality: 'high',
+    omori: { p: 1.1, c: 0.05, K: 120 },
+    gr: { b_value: 1.0, a_value: 6.5, Mc: 2.5 },
+  };
+  const coverage = {
+    coverage: [{ region_id: 'region_0001', bounds: { lat: [30, 40], lon: [135, 145] }, center: { lat: 35, lon: 140 } }],
+  };
+
+  beforeEach(() => {
+    const store = new Map();
+    vi.stubGlobal('window', {
+      localStorage: {
+        getItem: (key) => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, value),
+      },
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // Fresh module instances, as after a page reload
+  const reload = async () => {
+    vi.resetModules();
+    return { api: await import('@/utils/api'), forecast: await import('@/utils/forecast') };
+  };
+
+  it('keeps the regional model stored by an earlier online forecast', async () => {
+    const online = await reload();
+    vi.mocked(online.api.predictAftershocks).mockResolvedValue({ success: true, predictions: {} });
+    vi.mocked(online.api.fetchModelCoverage).mockResolvedValue(coverage);
+    vi.mocked(online.api.fetchModelDetails).mockResolvedValue({ model: regionalModel });
+    await online.forecast.getAftershockForecast(5.5, 35.7, 139.7);
+    // The model is fetched in the background after the backend responds
+    await vi.waitFor(() => expect(window.localStorage.getItem('aftershock-monitor:models')).not.toBeNull());
+
+    const offline = await reload();
+    vi.mocked(offline.api.predictAftershocks).mockRejectedValue(new Error('Network Error'));
+    vi.mocked(offline.api.fetchModelCoverage).mockRejectedValue(new Error('Network Error'));
+    vi.mocked(offline.api.fetchModelDetails).mockRejectedValue(new Error('Network Error'));
+
+    const response = await offline.forecast.getAftershockForecast(5.5, 35.7, 139.7);
+    expect(response.computed_locally).toBe(true);
+    expect(response.predictions.model_info.source).toBe('regional');
+    expect(response.predictions.model_info.region_id).toBe('region_0001');
+  });
+
+  it('falls back to the global model when nothing is stored', async () => {
+    const { api, forecast } = await reload();
+    vi.mocked(api.predictAftershocks).mockRejectedValue(new Error('Network Error'));
+    vi.mocked(api.fetchModelCoverage).mockRejectedValue(new Error('Network Error'));
+
+    const response = await forecast.getAftershockForecast(5.5, 35.7, 139.7);
+    expect(response.predictions.model_info.source).toBe('global_fallback');
+  });
+});
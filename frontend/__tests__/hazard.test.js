@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { reasenbergJonesCount } from '@/utils/forecast';
+import { HAZARD_FORECAST_DAYS, hazardExpectedCount, hazardAreaRadius, ruptureLength } from '@/utils/hazard';
+import fixtures from './fixtures/backend-forecasts.json';
+
+const { omori, gr } = fixtures[0].model;
+const parameters = { omori, gr };
+
+describe('hazardExpectedCount', () => {
+  it('is the Reasenberg-Jones count above Mc over the hazard window', () => {
+    expect(hazardExpectedCount(parameters, 6.5)).toBe(
+      reasenbergJonesCount(omori, gr, 6.5, gr.Mc, 0, HAZARD_FORECAST_DAYS).count
+    );
+  });
+
+  it('grows by 10^b per magnitude unit of the mainshock', () => {
+    expect(hazardExpectedCount(parameters, 7.5) / hazardExpectedCount(parameters, 6.5)).toBeCloseTo(
+      Math.pow(10, gr.b_value),
+      6
+    );
+  });
+});
+
+describe('hazardAreaRadius', () => {
+  it('widens with the mainshock beyond its rupture', () => {
+    const radius = (magnitude) => hazardAreaRadius(magnitude, hazardExpectedCount(parameters, magnitude));
+
+    expect(radius(7)).toBeGreaterThan(radius(6));
+    expect(radius(6)).toBeGreaterThan(radius(5));
+    expect(radius(7)).toBeGreaterThan(ruptureLength(7) / 2);
+  });
+});
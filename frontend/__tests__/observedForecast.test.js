@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  observationMagnitude,
+  observedTimes,
+  expectedObserved,
+  assessObservedFit,
+  poissonInterval,
+} from '@/utils/observedForecast';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The 2023 Kahramanmaraş (Türkiye) M7.8 mainshock and the parameters of the
+// regional model covering it (region_1771)
+const mainshock = {
+  id: 'us6000jllz',
+  magnitude: 7.8,
+  latitude: 37.226,
+  longitude: 37.014,
+  time: '2023-02-06T01:17:34.000Z',
+};
+
+const parameters = {
+  omori: { p: 0.9123183105674397, c: 0.2868982433823198, K: 570.1214247099059, p_std: 0.0912, c_std: 0.0287, K_std: 57.0 },
+  gr: { b_value: 1.0756853444078138, a_value: 7.40677352161692, b_std: 0.056, a_std: 0.307, Mc: 4.250000000000002 },
+};
+
+// `count` events spread over the first `days` after the mainshock
+const eventsAfter = (count, days) =>
+  Array.from({ length: count }, (_, idx) => ({
+    id: `event-${idx}`,
+    time: new Date(new Date(mainshock.time).getTime() + ((idx + 1) / (count + 1)) * days * DAY_MS).toISOString(),
+  }));
+
+describe('observed vs forecast', () => {
+  const magnitude = observationMagnitude(parameters.gr);
+  const expected = expectedObserved(parameters, mainshock.magnitude, magnitude, 30);
+
+  it('counts from the model Mc, rounded up to a catalog bin', () => {
+    expect(magnitude).toBe(4.3);
+  });
+
+  it('expects a sequence-sized count rather than the pooled regional one', () => {
+    // The pooled K alone predicted over 10,000 M4.3+ events in a month
+    expect(expected).toBeGreaterThan(50);
+    expect(expected).toBeLessThan(5000);
+  });
+
+  it('scales with the mainshock magnitude', () => {
+    const smaller = expectedObserved(parameters, 6.8, magnitude, 30);
+    expect(expected / smaller).toBeCloseTo(Math.pow(10, parameters.gr.b_value), 6);
+  });
+
+  it('reaches all three verdicts', () => {
+    const [low, high] = poissonInterval(expected);
+    const verdict = (count) =>
+      assessObservedFit(observedTimes(mainshock, eventsAfter(count, 30)).length, expected).status;
+
+    expect(verdict(Math.round(expected))).toBe('consistent');
+    expect(verdict(high + 1)).toBe('hotter');
+    expect(verdict(low - 1)).toBe('colder');
+  });
+
+  it('leaves the mainshock itself out of the observed times', () => {
+    const times = observedTimes(mainshock, [mainshock, ...eventsAfter(3, 1)]);
+    expect(times).toHaveLength(3);
+    expect(times.every((days) => days > 0 && days < 1)).toBe(true);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { buildTimeline, getEventsUpTo, getEventTime } from '@/utils/playback';
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+const event = (id, hours) => ({ id, time: new Date(START + hours * HOUR_MS).toISOString() });
+
+// Out of time order, with a tie at hour 5
+const catalog = [event('c', 5), event('a', 0), event('e', 12), event('b', 5), event('d', 8)];
+
+const ids = (events) => events.map((eq) => eq.id);
+
+describe('getEventsUpTo', () => {
+  const timeline = buildTimeline(catalog);
+
+  it('lists the events up to the playhead, newest first', () => {
+    expect(ids(getEventsUpTo(timeline, START + 8 * HOUR_MS))).toEqual(['d', 'c', 'b', 'a']);
+  });
+
+  it('includes events exactly at the playhead', () => {
+    expect(ids(getEventsUpTo(timeline, START + 5 * HOUR_MS)).sort()).toEqual(['a', 'b', 'c']);
+  });
+
+  it('is empty before the first event and complete after the last', () => {
+    expect(getEventsUpTo(timeline, START - 1)).toEqual([]);
+    expect(getEventsUpTo(timeline, START + 24 * HOUR_MS)).toHaveLength(catalog.length);
+  });
+
+  it('matches filtering the whole catalog at every step', () => {
+    for (let hours = -1; hours <= 13; hours += 0.5) {
+      const playhead = START + hours * HOUR_MS;
+      const expected = catalog.filter((eq) => getEventTime(eq) <= playhead);
+      expect(ids(getEventsUpTo(timeline, playhead)).sort()).toEqual(ids(expected).sort());
+    }
+  });
+
+  it('handles an empty catalog', () => {
+    expect(getEventsUpTo(buildTimeline([]), START)).toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { CUSTOM_TIME_FILTER } from '@/utils/catalog';
+import { buildUrlQuery, parseUrlState } from '@/utils/urlState';
+
+const ALLOWED_DAYS = [7, 30, 365];
+
+const earthquake = { id: 'us7000abcd', magnitude: 6.1, latitude: 35.12, longitude: 139.45 };
+
+describe('URL state', () => {
+  it('round-trips a preset period, selected event and map view', () => {
+    const query = buildUrlQuery({
+      selectedEarthquake: earthquake,
+      timeFilter: 30,
+      dateRange: null,
+      view: { center: [35.123456, 139.456789], zoom: 7.4 },
+    });
+
+    expect(query).toEqual({ days: '30', event: 'us7000abcd', lat: '35.1235', lon: '139.4568', z: '7' });
+    expect(parseUrlState(query, ALLOWED_DAYS)).toEqual({
+      eventId: 'us7000abcd',
+      days: 30,
+      dateRange: null,
+      center: [35.1235, 139.4568],
+      zoom: 7,
+    });
+  });
+
+  it('round-trips a custom date range', () => {
+    const dateRange = { start: '2023-02-06', end: '2023-04-06' };
+    const query = buildUrlQuery({ selectedEarthquake: null, timeFilter: CUSTOM_TIME_FILTER, dateRange, view: null });
+
+    expect(query).toEqual(dateRange);
+    expect(parseUrlState(query, ALLOWED_DAYS)).toMatchObject({ days: null, dateRange, eventId: null, center: null });
+  });
+
+  it('leaves scenarios out of the link', () => {
+    const scenario = { ...earthquake, id: 'scenario-1', isScenario: true };
+    const query = buildUrlQuery({ selectedEarthquake: scenario, timeFilter: 7, dateRange: null, view: null });
+
+    expect(query).toEqual({ days: '7' });
+  });
+
+  it('drops values it cannot use', () => {
+    const state = parseUrlState(
+      { days: '14', start: '2023-04-06', end: '2023-02-06', lat: '95', lon: '10', z: 'far', event: '' },
+      ALLOWED_DAYS
+    );
+
+    expect(state).toEqual({ eventId: null, days: null, dateRange: null, center: null, zoom: null });
+  });
+});
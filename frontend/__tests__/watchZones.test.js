@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { haversineDistance } from '@/utils/geo';
+import { distanceToWatchZone, getZonesInHazardArea } from '@/utils/watchZones';
+
+// A 2° x 2° square on the equator, about 222 km a side
+const square = {
+  id: 'zone-square',
+  name: 'Square',
+  minMagnitude: 4,
+  type: 'polygon',
+  latlngs: [
+    [0, 0],
+    [0, 2],
+    [2, 2],
+    [2, 0],
+  ],
+};
+
+const circle = { id: 'zone-circle', name: 'Circle', minMagnitude: 4, type: 'circle', center: [0, 10], radiusKm: 50 };
+
+describe('distanceToWatchZone', () => {
+  it('is zero inside a polygon', () => {
+    expect(distanceToWatchZone([1, 1], square)).toBe(0);
+  });
+
+  it('measures to the nearest edge, not the nearest vertex', () => {
+    // Half a degree south of the middle of the bottom edge
+    const point = [-0.5, 1];
+    const distance = distanceToWatchZone(point, square);
+
+    expect(distance).toBeCloseTo(haversineDistance(point, [0, 1]), 3);
+    expect(distance).toBeLessThan(haversineDistance(point, [0, 0]) - 20);
+  });
+
+  it('measures to the corner when the point is off the end of every edge', () => {
+    const point = [-1, -1];
+    expect(distanceToWatchZone(point, square)).toBeCloseTo(haversineDistance(point, [0, 0]), 3);
+  });
+
+  it('measures circles from their rim', () => {
+    expect(distanceToWatchZone([0, 11], circle)).toBeCloseTo(haversineDistance([0, 11], [0, 10]) - 50, 6);
+  });
+});
+
+describe('getZonesInHazardArea', () => {
+  it('includes a polygon whose edge, but no vertex, is in reach', () => {
+    // About 67 km below the bottom edge and over 130 km from its corners
+    const earthquake = { latitude: -0.6, longitude: 1 };
+    const hits = getZonesInHazardArea([square, circle], earthquake, 100);
+
+    expect(hits.map((hit) => hit.zone.id)).toEqual(['zone-square']);
+    expect(hits[0].distanceKm).toBeCloseTo(haversineDistance([-0.6, 1], [0, 1]), 3);
+  });
+});
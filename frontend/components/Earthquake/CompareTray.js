@@ -0,0 +1,50 @@
+import { Columns, X } from 'lucide-react';
+import { formatMagnitude } from '@/utils/formatters';
+import { COMPARISON_COLORS, MAX_COMPARED } from './ComparisonPanel';
+
+// Events picked for comparison, shown at the foot of the sidebar
+export default function CompareTray({ earthquakes, onRemove, onClear, onCompare }) {
+  return (
+    <div className="border-t border-white/10 bg-bg-card p-3 space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold">
+          Compare ({earthquakes.length}/{MAX_COMPARED})
+        </span>
+        <button
+          onClick={onClear}
+          className="text-xs text-text-secondary hover:text-white transition-colors"
+        >
+          Clear
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-1">
+        {earthquakes.map((eq, idx) => (
+          <span
+            key={eq.id}
+            className="flex items-center space-x-1 pl-2 pr-1 py-0.5 rounded bg-bg-dark border text-xs"
+            style={{ borderColor: COMPARISON_COLORS[idx] }}
+            title={eq.place}
+          >
+            <span>{formatMagnitude(eq.magnitude)}</span>
+            <button onClick={() => onRemove(eq)} className="hover:text-white text-text-secondary">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+      </div>
+
+      {earthquakes.length < 2 ? (
+        <p className="text-xs text-text-secondary">Ctrl/⌘-click another event in the list or on the map</p>
+      ) : (
+        <button
+          onClick={onCompare}
+          className="w-full flex items-center justify-center space-x-2 py-2 bg-orange-500 hover:bg-orange-600 text-white rounded-lg transition-colors font-medium"
+        >
+          <Columns className="w-4 h-4" />
+          <span>Compare Forecasts</span>
+        </button>
+      )}
+    </div>
+  );
+}
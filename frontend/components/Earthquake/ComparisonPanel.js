@@ -0,0 +1,221 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, AlertTriangle, TrendingDown, BarChart3, Columns } from 'lucide-react';
+import { MAGNITUDE_THRESHOLDS, getAftershockForecast, reasenbergJonesCount } from '@/utils/forecast';
+import { getErrorMessage } from '@/utils/api';
+import { formatMagnitude, formatNumber, formatTimeAgo, truncatePlace } from '@/utils/formatters';
+import { HAZARD_FORECAST_DAYS } from '@/utils/hazard';
+import { getEventTime } from '@/utils/playback';
+import LoadingSpinner from '../UI/LoadingSpinner';
+import DecayCurveChart from '../Forecast/DecayCurveChart';
+import ProbabilityChart from '../Forecast/ProbabilityChart';
+
+// Up to this many events can be compared side by side
+export const MAX_COMPARED = 4;
+
+// Series colors, assigned in selection order
+export const COMPARISON_COLORS = ['#f97316', '#22d3ee', '#a855f7', '#84cc16'];
+
+// Events can sit in regions with different Mc, so the table compares counts
+// above one shared threshold
+const EXPECTED_MAGNITUDE = MAGNITUDE_THRESHOLDS[0];
+
+// Aftershocks expected in the first 30 days, scaled from the mainshock
+const expectedCount = (earthquake, { parameters: { omori, gr } }) =>
+  reasenbergJonesCount(omori, gr, earthquake.magnitude, EXPECTED_MAGNITUDE, 0, HAZARD_FORECAST_DAYS).count;
+
+const seriesLabel = (earthquake) =>
+  `${formatMagnitude(earthquake.magnitude)} ${truncatePlace(earthquake.place, 24)}`;
+
+// Overlaid forecasts and a summary table for several events
+export default function ComparisonPanel({ earthquakes, onRemove, onClose }) {
+  const [predictions, setPredictions] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const idsKey = earthquakes.map((eq) => eq.id).join(',');
+
+  useEffect(() => {
+    // Set when the compared events change, so an older fetch can't
+    // overwrite the newer result set
+    let cancelled = false;
+
+    const fetchPredictions = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const responses = await Promise.all(
+          earthquakes.map((eq) =>
+            getAftershockForecast(eq.magnitude, eq.latitude, eq.longitude, eq.tectonic_setting, null, !!eq.isScenario)
+          )
+        );
+        if (cancelled) return;
+
+        const byId = {};
+        responses.forEach((response, idx) => {
+          byId[earthquakes[idx].id] = response.predictions;
+        });
+        setPredictions(byId);
+      } catch (err) {
+        if (!cancelled) setError(getErrorMessage(err, 'Failed to load predictions'));
+        console.error(err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchPredictions();
+    return () => {
+      cancelled = true;
+    };
+  }, [idsKey]);
+
+  const rows = earthquakes
+    .map((eq, idx) => ({
+      earthquake: eq,
+      color: COMPARISON_COLORS[idx],
+      predictions: predictions[eq.id],
+    }))
+    .filter((row) => row.predictions);
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ x: '100%' }}
+        animate={{ x: 0 }}
+        exit={{ x: '100%' }}
+        transition={{ type: 'spring', damping: 25, stiffness: 200 }}
+        className="fixed right-0 top-0 bottom-0 w-full md:w-[600px] lg:w-[720px] bg-bg-dark border-l border-white/10 overflow-y-auto z-50 shadow-2xl"
+      >
+        {/* Header */}
+        <div className="sticky top-0 bg-bg-card border-b border-white/10 p-4 flex items-center justify-between z-10">
+          <div className="flex items-center space-x-2">
+            <Columns className="w-5 h-5 text-orange-500" />
+            <h2 className="text-xl font-bold">Compare Forecasts ({earthquakes.length})</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Compared Events */}
+          <div className="flex flex-wrap gap-2">
+            {earthquakes.map((eq, idx) => (
+              <span
+                key={eq.id}
+                className="flex items-center space-x-2 pl-2 pr-1 py-1 rounded-lg bg-bg-card border text-sm"
+                style={{ borderColor: COMPARISON_COLORS[idx] }}
+              >
+                <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: COMPARISON_COLORS[idx] }}></span>
+                <span>{seriesLabel(eq)}</span>
+                <button
+                  onClick={() => onRemove(eq)}
+                  className="p-0.5 hover:bg-white/10 rounded transition-colors"
+                  title="Remove from comparison"
+                >
+                  <X className="w-3.5 h-3.5" />
+                </button>
+              </span>
+            ))}
+          </div>
+
+          {loading && <LoadingSpinner message="Calculating aftershock probabilities..." />}
+
+          {error && (
+            <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-4 text-red-400">
+              <AlertTriangle className="w-5 h-5 inline mr-2" />
+              {error}
+            </div>
+          )}
+
+          {!loading && rows.length > 0 && (
+            <>
+              {/* Summary Table */}
+              <div className="bg-bg-card rounded-xl border border-white/10 overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-text-secondary border-b border-white/10">
+                      <th className="p-3 font-medium">Event</th>
+                      <th className="p-3 font-medium">Risk</th>
+                      <th className="p-3 font-medium text-right">Expected M{EXPECTED_MAGNITUDE.toFixed(1)}+ (30d)</th>
+                      <th className="p-3 font-medium">Model Source</th>
+                      <th className="p-3 font-medium">Quality</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(({ earthquake, color, predictions: p }) => (
+                      <tr key={earthquake.id} className="border-b border-white/5 last:border-0">
+                        <td className="p-3">
+                          <div className="flex items-center space-x-2">
+                            <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: color }}></span>
+                            <div className="min-w-0">
+                              <div className="font-semibold">{formatMagnitude(earthquake.magnitude)}</div>
+                              <div className="text-xs text-text-secondary truncate max-w-[10rem]">
+                                {truncatePlace(earthquake.place, 30)}
+                              </div>
+                              <div className="text-xs text-text-secondary">{formatTimeAgo(earthquake.time)}</div>
+                            </div>
+                          </div>
+                        </td>
+                        <td className="p-3">
+                          <span className="font-bold" style={{ color: p.risk_assessment.color }}>
+                            {p.risk_assessment.level}
+                          </span>
+                        </td>
+                        <td className="p-3 text-right font-medium">
+                          {formatNumber(expectedCount(earthquake, p))}
+                        </td>
+                        <td className="p-3 capitalize">{p.model_info.source.replace(/_/g, ' ')}</td>
+                        <td className="p-3 capitalize">{p.model_info.quality}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Decay Curves */}
+              <div className="bg-bg-card rounded-xl p-6 border border-white/10">
+                <div className="flex items-center space-x-2 mb-4">
+                  <TrendingDown className="w-5 h-5 text-orange-500" />
+                  <h3 className="text-lg font-semibold">Aftershock Decay</h3>
+                </div>
+
+                <DecayCurveChart
+                  series={rows.map(({ earthquake, color, predictions: p }) => ({
+                    label: seriesLabel(earthquake),
+                    color,
+                    forecasts: p.forecasts,
+                    parameters: p.parameters,
+                    mainshockTime: earthquake.isScenario ? null : getEventTime(earthquake),
+                  }))}
+                />
+              </div>
+
+              {/* Magnitude Probabilities */}
+              <div className="bg-bg-card rounded-xl p-6 border border-white/10">
+                <div className="flex items-center space-x-2 mb-4">
+                  <BarChart3 className="w-5 h-5 text-orange-500" />
+                  <h3 className="text-lg font-semibold">Magnitude Probabilities</h3>
+                </div>
+
+                <ProbabilityChart
+                  series={rows.map(({ earthquake, color, predictions: p }) => ({
+                    label: seriesLabel(earthquake),
+                    color,
+                    probabilities: p.magnitude_probabilities,
+                    reasenbergJones: p.reasenberg_jones,
+                  }))}
+                />
+              </div>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
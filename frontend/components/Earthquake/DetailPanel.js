@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, AlertTriangle, TrendingDown, BarChart3, Download, Info } from 'lucide-react';
-import { predictAftershocks } from '@/utils/api';
+import { X, AlertTriangle, TrendingDown, BarChart3, Download, Info, Crosshair, ShieldAlert, Columns } from 'lucide-react';
+import { getAftershockForecast } from '@/utils/forecast';
+import { getErrorMessage } from '@/utils/api';
 import {
   formatMagnitude,
   formatTimeAgo,
@@ -10,16 +11,24 @@ import {
   formatDepth,
   formatProbability,
   formatNumber,
+  formatRange,
   getRiskLevelColor,
   truncatePlace,
 } from '@/utils/formatters';
 import { generateAftershockPDF } from '@/utils/pdfExport';
+import { DENSITY_LEVELS, hazardAreaRadius, hazardExpectedCount } from '@/utils/hazard';
+import { getZonesInHazardArea } from '@/utils/watchZones';
+import { getEventTime } from '@/utils/playback';
 import LoadingSpinner from '../UI/LoadingSpinner';
 import DecayCurveChart from '../Forecast/DecayCurveChart';
 import ProbabilityChart from '../Forecast/ProbabilityChart';
+import ForecastWindows from '../Forecast/ForecastWindows';
+import ObservedVsForecast from '../Forecast/ObservedVsForecast';
+import LargestAftershock from '../Forecast/LargestAftershock';
 
-export default function DetailPanel({ earthquake, onClose }) {
+export default function DetailPanel({ earthquake, watchZones = [], isCompared = false, onCompareToggle, onClose }) {
   const [predictions, setPredictions] = useState(null);
+  const [computedLocally, setComputedLocally] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [exporting, setExporting] = useState(false);
@@ -35,14 +44,18 @@ export default function DetailPanel({ earthquake, onClose }) {
     setError(null);
     
     try {
-      const response = await predictAftershocks(
+      const response = await getAftershockForecast(
         earthquake.magnitude,
         earthquake.latitude,
-        earthquake.longitude
+        earthquake.longitude,
+        earthquake.tectonic_setting,
+        null,
+        !!earthquake.isScenario
       );
       setPredictions(response.predictions);
+      setComputedLocally(!!response.computed_locally);
     } catch (err) {
-      setError('Failed to load predictions');
+      setError(getErrorMessage(err, 'Failed to load predictions'));
       console.error(err);
     } finally {
       setLoading(false);
@@ -66,6 +79,12 @@ export default function DetailPanel({ earthquake, onClose }) {
   
   if (!earthquake) return null;
   
+  // Watch zones reaching into the outermost density contour drawn on the map
+  const hazardRadiusKm = predictions?.parameters
+    ? hazardAreaRadius(earthquake.magnitude, hazardExpectedCount(predictions.parameters, earthquake.magnitude))
+    : null;
+  const zonesAtRisk = hazardRadiusKm ? getZonesInHazardArea(watchZones, earthquake, hazardRadiusKm) : [];
+  
   return (
     <AnimatePresence>
       <motion.div
@@ -77,22 +96,49 @@ export default function DetailPanel({ earthquake, onClose }) {
       >
         {/* Header */}
         <div className="sticky top-0 bg-bg-card border-b border-white/10 p-4 flex items-center justify-between z-10">
-          <h2 className="text-xl font-bold">Aftershock Forecast</h2>
-          <button
-            onClick={onClose}
-            className="p-2 hover:bg-white/10 rounded-lg transition-colors"
-          >
-            <X className="w-5 h-5" />
-          </button>
+          <h2 className="text-xl font-bold">
+            {earthquake.isScenario ? 'Scenario Forecast' : 'Aftershock Forecast'}
+          </h2>
+          <div className="flex items-center space-x-1">
+            {onCompareToggle && (
+              <button
+                onClick={onCompareToggle}
+                className={`flex items-center space-x-1 px-3 py-2 rounded-lg text-sm transition-colors ${
+                  isCompared ? 'bg-orange-500/20 text-orange-400' : 'hover:bg-white/10 text-text-secondary'
+                }`}
+                title="Add to or remove from the comparison (or Ctrl/⌘-click events)"
+              >
+                <Columns className="w-4 h-4" />
+                <span>{isCompared ? 'Comparing' : 'Compare'}</span>
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
         </div>
         
         <div className="p-6 space-y-6">
+          {/* Scenario Notice */}
+          {earthquake.isScenario && (
+            <div className="bg-purple-500/10 border border-purple-500/50 rounded-lg p-4 text-purple-300 text-sm flex items-start space-x-2">
+              <Crosshair className="w-5 h-5 flex-shrink-0" />
+              <span>
+                <strong>Hypothetical scenario.</strong> This is not a real earthquake; the forecast
+                shows what the model expects if a mainshock like this occurred here.
+              </span>
+            </div>
+          )}
+          
           {/* Earthquake Info */}
           <div className="space-y-3">
             <div className="flex items-start justify-between">
               <div className="flex-1">
                 <h3 className="text-2xl font-bold mb-1" style={{ color: getRiskLevelColor('HIGH') }}>
-                  {formatMagnitude(earthquake.magnitude)} Earthquake
+                  {formatMagnitude(earthquake.magnitude)} {earthquake.isScenario ? 'Scenario' : 'Earthquake'}
                 </h3>
                 <p className="text-text-secondary text-sm">
                   {truncatePlace(earthquake.place, 60)}
@@ -135,6 +181,32 @@ export default function DetailPanel({ earthquake, onClose }) {
           {/* Predictions */}
           {predictions && !loading && (
             <>
+              {/* Watch Zones in Hazard Area */}
+              {zonesAtRisk.length > 0 && (
+                <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-4 text-sm space-y-2">
+                  <div className="flex items-center space-x-2 text-red-400 font-semibold">
+                    <ShieldAlert className="w-5 h-5" />
+                    <span>
+                      {zonesAtRisk.length} watch zone{zonesAtRisk.length === 1 ? '' : 's'} inside the hazard area
+                    </span>
+                  </div>
+                  <ul className="space-y-1">
+                    {zonesAtRisk.map(({ zone, distanceKm }) => (
+                      <li key={zone.id} className="flex justify-between">
+                        <span>{zone.name}</span>
+                        <span className="text-text-secondary">
+                          {distanceKm === 0 ? 'contains epicenter' : `${Math.round(distanceKm)} km from epicenter`}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="text-xs text-text-secondary">
+                    Hazard area: {Math.round(hazardRadiusKm)} km radius, where the 30-day forecast exceeds{' '}
+                    {DENSITY_LEVELS[DENSITY_LEVELS.length - 1].density} aftershocks per 100 km²
+                  </div>
+                </div>
+              )}
+              
               {/* Risk Assessment */}
               <div
                 className="rounded-xl p-6 border-2"
@@ -190,21 +262,41 @@ export default function DetailPanel({ earthquake, onClose }) {
                       </div>
                       <div className="text-xs text-text-secondary mt-1">
                         per day
+                        {forecast.rate_range && ` (${formatRange(forecast.rate_range)})`}
                       </div>
                       <div className="text-xs text-text-secondary mt-2 pt-2 border-t border-white/10">
                         Total: {formatNumber(forecast.cumulative_expected)}
+                        {forecast.cumulative_range && ` (${formatRange(forecast.cumulative_range)})`}
                       </div>
                     </div>
                   ))}
                 </div>
+                
+                {Object.values(predictions.forecasts).some((forecast) => forecast.rate_range) && (
+                  <p className="text-xs text-text-secondary mt-3">
+                    Ranges in brackets are 5–95% bounds from the model&apos;s parameter uncertainties.
+                  </p>
+                )}
               </div>
               
+              {/* Custom Forecast Windows */}
+              <ForecastWindows earthquake={earthquake} />
+              
               {/* Decay Curve Chart */}
               <div className="bg-bg-card rounded-xl p-6 border border-white/10">
-                <h3 className="text-lg font-semibold mb-4">Aftershock Rate Over Time</h3>
-                <DecayCurveChart forecasts={predictions.forecasts} />
+                <h3 className="text-lg font-semibold mb-4">Aftershock Decay Over Time</h3>
+                <DecayCurveChart
+                  forecasts={predictions.forecasts}
+                  parameters={predictions.parameters}
+                  mainshockTime={earthquake.isScenario ? null : getEventTime(earthquake)}
+                />
               </div>
               
+              {/* Observed vs Forecast */}
+              {!earthquake.isScenario && predictions.parameters && (
+                <ObservedVsForecast earthquake={earthquake} parameters={predictions.parameters} />
+              )}
+              
               {/* Magnitude Probabilities */}
               <div className="bg-bg-card rounded-xl p-6 border border-white/10">
                 <div className="flex items-center space-x-2 mb-4">
@@ -212,28 +304,54 @@ export default function DetailPanel({ earthquake, onClose }) {
                   <h3 className="text-lg font-semibold">Magnitude Probabilities</h3>
                 </div>
                 
-                <ProbabilityChart probabilities={predictions.magnitude_probabilities} />
+                <ProbabilityChart
+                  probabilities={predictions.magnitude_probabilities}
+                  reasenbergJones={predictions.reasenberg_jones}
+                />
                 
-                <div className="space-y-2 mt-4">
+                <p className="text-xs text-text-secondary mt-4">Regional G-R, regardless of time:</p>
+                <div className="space-y-2 mt-2">
                   {Object.entries(predictions.magnitude_probabilities).map(([key, prob]) => (
                     <div key={key} className="flex items-center justify-between text-sm">
                       <span className="font-medium">{key} or larger:</span>
                       <div className="flex items-center space-x-2">
-                        <div className="w-24 bg-white/10 rounded-full h-2">
+                        <div className="relative w-24 bg-white/10 rounded-full h-2">
                           <div
                             className="bg-orange-500 h-2 rounded-full transition-all duration-500"
                             style={{ width: `${prob.percentage}%` }}
                           ></div>
+                          {prob.probability_range && (
+                            <div
+                              className="absolute top-1/2 h-0.5 -translate-y-1/2 bg-white/70"
+                              style={{
+                                left: `${prob.probability_range[0] * 100}%`,
+                                width: `${(prob.probability_range[1] - prob.probability_range[0]) * 100}%`,
+                              }}
+                            ></div>
+                          )}
                         </div>
                         <span className="font-bold text-orange-500 w-12 text-right">
                           {formatProbability(prob.probability)}
                         </span>
+                        {prob.probability_range && (
+                          <span className="text-xs text-text-secondary w-24 text-right">
+                            {formatRange(prob.probability_range, formatProbability)}
+                          </span>
+                        )}
                       </div>
                     </div>
                   ))}
                 </div>
               </div>
               
+              {/* Largest Aftershock */}
+              {predictions.largest_aftershock && (
+                <LargestAftershock
+                  largest={predictions.largest_aftershock}
+                  mainshockMagnitude={earthquake.magnitude}
+                />
+              )}
+              
               {/* Model Information */}
               <div className="bg-bg-card rounded-xl p-6 border border-white/10">
                 <div className="flex items-center space-x-2 mb-4">
@@ -254,6 +372,13 @@ export default function DetailPanel({ earthquake, onClose }) {
                     </span>
                   </div>
                   
+                  <div className="flex justify-between">
+                    <span className="text-text-secondary">Tectonic Setting:</span>
+                    <span className="font-medium capitalize">
+                      {predictions.model_info.tectonic_setting.replace(/_/g, ' ')}
+                    </span>
+                  </div>
+                  
                   <div className="flex justify-between">
                     <span className="text-text-secondary">Data Quality:</span>
                     <span className="font-medium capitalize">{predictions.model_info.quality}</span>
@@ -273,6 +398,13 @@ export default function DetailPanel({ earthquake, onClose }) {
                       R² = {predictions.model_info.omori_r_squared.toFixed(3)}
                     </span>
                   </div>
+                  
+                  {computedLocally && (
+                    <div className="flex justify-between">
+                      <span className="text-text-secondary">Computed:</span>
+                      <span className="font-medium text-yellow-400">In browser (backend unavailable)</span>
+                    </div>
+                  )}
                 </div>
               </div>
               
@@ -1,66 +1,313 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { formatMagnitude, formatTimeAgo, getMagnitudeColor, truncatePlace } from '@/utils/formatters';
-import { ChevronRight, MapPin } from 'lucide-react';
+import { getSequenceActivity } from '@/utils/declustering';
+import { ChevronRight, ChevronDown, MapPin, ShieldAlert } from 'lucide-react';
 
-export default function EarthquakeList({ earthquakes, selectedEarthquake, onEarthquakeClick }) {
-  if (!earthquakes || earthquakes.length === 0) {
+// Rows have fixed heights per kind so only the ones in view need to be rendered
+const ROW_HEIGHT = 108;
+const MEMBER_ROW_HEIGHT = 60;
+const ROW_GAP = 8;
+const OVERSCAN_PX = 600;
+
+// Tiny bar chart of aftershock activity through a sequence
+function Sparkline({ counts, color }) {
+  const max = Math.max(...counts, 1);
+  const barWidth = 64 / counts.length;
+
+  return (
+    <svg width="64" height="20" className="flex-shrink-0" aria-hidden="true">
+      {counts.map((count, idx) => {
+        const height = count > 0 ? Math.max(2, (count / max) * 20) : 0;
+        return (
+          <rect
+            key={idx}
+            x={idx * barWidth}
+            y={20 - height}
+            width={Math.max(barWidth - 1, 1)}
+            height={height}
+            fill={color}
+            opacity={0.8}
+          />
+        );
+      })}
+    </svg>
+  );
+}
+
+// Badges shared by full and member rows
+function EventBadges({ eq, newEventIds, zoneAlerts }) {
+  const alertZones = zoneAlerts?.get(eq.id);
+
+  return (
+    <>
+      {newEventIds?.has(eq.id) && (
+        <span className="px-1.5 py-0.5 rounded bg-orange-500 text-white text-[10px] font-semibold uppercase tracking-wide">
+          New
+        </span>
+      )}
+      {alertZones && (
+        <span
+          className="flex items-center space-x-1 min-w-0 px-1.5 py-0.5 rounded bg-red-500/20 text-red-400 text-[10px] font-semibold"
+          title={`Inside watch zone: ${alertZones.map((zone) => zone.name).join(', ')}`}
+        >
+          <ShieldAlert className="w-3 h-3 flex-shrink-0" />
+          <span className="truncate">{alertZones[0].name}{alertZones.length > 1 ? ` +${alertZones.length - 1}` : ''}</span>
+        </span>
+      )}
+    </>
+  );
+}
+
+const rowHeight = (row) => (row.kind === 'member' ? MEMBER_ROW_HEIGHT : ROW_HEIGHT);
+
+// Flat list of events, or of declustered sequences when `sequences` is given.
+// Sequence rows expand to show their aftershocks.
+export default function EarthquakeList({
+  earthquakes,
+  sequences = null,
+  newEventIds,
+  zoneAlerts,
+  comparedColors,
+  selectedEarthquake,
+  onEarthquakeClick,
+}) {
+  const scrollRef = useRef(null);
+  // Selection still to be scrolled to; its row may only appear once its
+  // sequence opens
+  const pendingScrollRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const [expanded, setExpanded] = useState(new Set());
+  const hasRows = earthquakes?.length > 0;
+
+  // Row model plus each row's top offset
+  const { rows, offsets, totalHeight } = useMemo(() => {
+    const rows = [];
+    if (sequences) {
+      sequences.forEach((sequence) => {
+        rows.push({ kind: 'sequence', earthquake: sequence.mainshock, sequence });
+        if (expanded.has(sequence.id)) {
+          sequence.aftershocks.forEach((eq) => rows.push({ kind: 'member', earthquake: eq }));
+        }
+      });
+    } else if (earthquakes) {
+      earthquakes.forEach((eq) => rows.push({ kind: 'event', earthquake: eq }));
+    }
+
+    const offsets = new Array(rows.length);
+    let top = 0;
+    rows.forEach((row, idx) => {
+      offsets[idx] = top;
+      top += rowHeight(row) + ROW_GAP;
+    });
+
+    return { rows, offsets, totalHeight: Math.max(0, top - ROW_GAP) };
+  }, [earthquakes, sequences, expanded]);
+
+  // Track the visible height as the sidebar resizes
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return;
+
+    setViewportHeight(element.clientHeight);
+    const observer = new ResizeObserver(() => setViewportHeight(element.clientHeight));
+    observer.observe(element);
+
+    return () => observer.disconnect();
+  }, [hasRows]);
+
+  // Open the sequence holding an aftershock selected elsewhere (e.g. on the map)
+  useEffect(() => {
+    if (!sequences || !selectedEarthquake) return;
+
+    const parent = sequences.find((sequence) =>
+      sequence.aftershocks.some((eq) => eq.id === selectedEarthquake.id)
+    );
+    if (parent && !expanded.has(parent.id)) {
+      setExpanded(new Set([...expanded, parent.id]));
+    }
+  }, [selectedEarthquake?.id, sequences]);
+
+  useEffect(() => {
+    pendingScrollRef.current = selectedEarthquake?.id ?? null;
+  }, [selectedEarthquake?.id]);
+
+  // Bring a newly selected event into view once, so refreshed rows don't
+  // pull the list back to it
+  useEffect(() => {
+    const element = scrollRef.current;
+    const id = pendingScrollRef.current;
+    if (!element || !hasRows || !id) return;
+
+    const index = rows.findIndex((row) => row.earthquake.id === id);
+    if (index === -1) return;
+    pendingScrollRef.current = null;
+
+    const height = rowHeight(rows[index]);
+    const rowTop = offsets[index];
+    if (rowTop < element.scrollTop || rowTop + height > element.scrollTop + element.clientHeight) {
+      element.scrollTop = Math.max(0, rowTop - (element.clientHeight - height) / 2);
+    }
+  }, [selectedEarthquake?.id, rows]);
+
+  if (!hasRows) {
     return (
       <div className="h-full flex items-center justify-center text-text-secondary">
         <div className="text-center space-y-2">
           <MapPin className="w-12 h-12 mx-auto opacity-50" />
           <p>No earthquakes found</p>
-          <p className="text-sm">Try adjusting the time filter</p>
+          <p className="text-sm">Try adjusting the filters</p>
         </div>
       </div>
     );
   }
-  
+
+  const toggleExpanded = (id) => {
+    const next = new Set(expanded);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setExpanded(next);
+  };
+
+  // Binary search for the first row reaching into the overscanned viewport
+  const windowTop = scrollTop - OVERSCAN_PX;
+  const windowBottom = scrollTop + viewportHeight + OVERSCAN_PX;
+  let firstRow = 0;
+  let hi = rows.length;
+  while (firstRow < hi) {
+    const mid = (firstRow + hi) >> 1;
+    if (offsets[mid] + rowHeight(rows[mid]) < windowTop) firstRow = mid + 1;
+    else hi = mid;
+  }
+  let lastRow = firstRow;
+  while (lastRow < rows.length - 1 && offsets[lastRow + 1] <= windowBottom) lastRow++;
+
+  const sequenceCount = sequences
+    ? sequences.filter((sequence) => sequence.aftershocks.length > 0).length
+    : 0;
+
   return (
-    <div className="h-full overflow-y-auto space-y-2 p-4">
-      <h2 className="text-lg font-semibold mb-4 sticky top-0 bg-bg-dark pt-2 pb-2 z-10">
+    <div className="h-full flex flex-col">
+      <h2 className="text-lg font-semibold px-4 pt-4 pb-2 bg-bg-dark">
         Recent Earthquakes ({earthquakes.length})
+        {sequences && (
+          <span className="block text-xs font-normal text-text-secondary">
+            {sequenceCount} sequence{sequenceCount === 1 ? '' : 's'} with aftershocks
+          </span>
+        )}
       </h2>
-      
-      {earthquakes.map((eq) => {
-        const mag = eq.magnitude;
-        const color = getMagnitudeColor(mag);
-        const isSelected = selectedEarthquake?.id === eq.id;
-        
-        return (
-          <button
-            key={eq.id}
-            onClick={() => onEarthquakeClick(eq)}
-            className={`w-full text-left p-4 rounded-lg transition-all transform hover:scale-[1.02] ${
-              isSelected
-                ? 'bg-orange-500/20 border-2 border-orange-500'
-                : 'bg-bg-card border border-white/10 hover:border-white/20'
-            }`}
-          >
-            <div className="flex items-start justify-between space-x-3">
-              <div className="flex-1 min-w-0">
-                <div className="flex items-center space-x-2 mb-1">
-                  <div
-                    className="w-3 h-3 rounded-full flex-shrink-0"
-                    style={{ backgroundColor: color }}
-                  ></div>
-                  <span className="font-bold text-lg" style={{ color }}>
-                    {formatMagnitude(mag)}
-                  </span>
-                </div>
-                
-                <div className="text-sm text-white mb-1 truncate">
-                  {truncatePlace(eq.place)}
-                </div>
-                
-                <div className="text-xs text-text-secondary">
-                  {formatTimeAgo(eq.time)}
+
+      <div
+        ref={scrollRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className="flex-1 min-h-0 overflow-y-auto px-4 pb-4"
+      >
+        <div className="relative" style={{ height: totalHeight }}>
+          {rows.slice(firstRow, lastRow + 1).map((row, offset) => {
+            const eq = row.earthquake;
+            const mag = eq.magnitude;
+            const color = getMagnitudeColor(mag);
+            const isSelected = selectedEarthquake?.id === eq.id;
+            const top = offsets[firstRow + offset];
+            const compareColor = comparedColors?.get(eq.id);
+            const compareStripe = compareColor ? `inset 4px 0 0 ${compareColor}` : undefined;
+
+            if (row.kind === 'member') {
+              return (
+                <button
+                  key={eq.id}
+                  onClick={(e) => onEarthquakeClick(eq, e)}
+                  style={{ top, height: MEMBER_ROW_HEIGHT, boxShadow: compareStripe }}
+                  className={`absolute left-6 right-0 text-left px-3 py-2 rounded-lg transition-colors ${
+                    isSelected
+                      ? 'bg-orange-500/20 border-2 border-orange-500'
+                      : 'bg-bg-card/60 border border-white/5 hover:border-white/20'
+                  }`}
+                >
+                  <div className="flex items-center space-x-2">
+                    <span className="font-bold text-sm" style={{ color }}>
+                      {formatMagnitude(mag)}
+                    </span>
+                    <span className="text-xs text-text-secondary">{formatTimeAgo(eq.time)}</span>
+                    <EventBadges eq={eq} newEventIds={newEventIds} zoneAlerts={zoneAlerts} />
+                  </div>
+                  <div className="text-xs text-white truncate mt-1">{truncatePlace(eq.place)}</div>
+                </button>
+              );
+            }
+
+            const sequence = row.sequence;
+            const aftershockCount = sequence ? sequence.aftershocks.length : 0;
+            const isExpanded = aftershockCount > 0 && expanded.has(sequence.id);
+
+            return (
+              <div
+                key={eq.id}
+                role="button"
+                tabIndex={0}
+                onClick={(e) => onEarthquakeClick(eq, e)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') onEarthquakeClick(eq, e);
+                }}
+                style={{ top, height: ROW_HEIGHT, boxShadow: compareStripe }}
+                className={`absolute inset-x-0 text-left p-4 rounded-lg cursor-pointer transition-all transform hover:scale-[1.02] ${
+                  isSelected
+                    ? 'bg-orange-500/20 border-2 border-orange-500'
+                    : 'bg-bg-card border border-white/10 hover:border-white/20'
+                }`}
+              >
+                <div className="flex items-start justify-between space-x-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center space-x-2 mb-1">
+                      <div
+                        className="w-3 h-3 rounded-full flex-shrink-0"
+                        style={{ backgroundColor: color }}
+                      ></div>
+                      <span className="font-bold text-lg" style={{ color }}>
+                        {formatMagnitude(mag)}
+                      </span>
+                      <EventBadges eq={eq} newEventIds={newEventIds} zoneAlerts={zoneAlerts} />
+                    </div>
+
+                    <div className="text-sm text-white mb-1 truncate">
+                      {truncatePlace(eq.place)}
+                    </div>
+
+                    <div className="text-xs text-text-secondary">
+                      {formatTimeAgo(eq.time)}
+                    </div>
+                  </div>
+
+                  {aftershockCount > 0 ? (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        toggleExpanded(sequence.id);
+                      }}
+                      className="flex flex-col items-end space-y-1 p-1 -m-1 rounded-lg hover:bg-white/10 transition-colors"
+                      title={isExpanded ? 'Hide aftershocks' : 'Show aftershocks'}
+                    >
+                      <span className="flex items-center space-x-1 text-xs text-text-secondary">
+                        <span>
+                          {aftershockCount} aftershock{aftershockCount === 1 ? '' : 's'}
+                        </span>
+                        {isExpanded ? (
+                          <ChevronDown className="w-4 h-4" />
+                        ) : (
+                          <ChevronRight className="w-4 h-4" />
+                        )}
+                      </span>
+                      <Sparkline counts={getSequenceActivity(sequence)} color={color} />
+                    </button>
+                  ) : (
+                    <ChevronRight className="w-5 h-5 text-text-secondary flex-shrink-0" />
+                  )}
                 </div>
               </div>
-              
-              <ChevronRight className="w-5 h-5 text-text-secondary flex-shrink-0" />
-            </div>
-          </button>
-        );
-      })}
+            );
+          })}
+        </div>
+      </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,201 @@
+import { useEffect, useState } from 'react';
+import { Search, SlidersHorizontal, ListTree, X } from 'lucide-react';
+import { SORT_OPTIONS, DEFAULT_RANGES } from '@/utils/catalog';
+
+const inputClass =
+  'w-full bg-bg-dark border border-white/10 rounded-lg px-2 py-1.5 text-sm text-white placeholder-text-secondary focus:outline-none focus:ring-2 focus:ring-orange-500';
+
+const toInput = (value) => (value === null ? '' : String(value));
+const fromInput = (value) => (value.trim() === '' ? null : Number(value));
+
+// Search, sort and server-side magnitude/depth ranges for the earthquake list.
+// Ranges are applied on submit since each change triggers a new fetch.
+export default function ListToolbar({
+  search,
+  onSearchChange,
+  sortBy,
+  onSortChange,
+  groupSequences,
+  onGroupSequencesChange,
+  ranges,
+  onRangesChange,
+}) {
+  const [showRanges, setShowRanges] = useState(false);
+  const [draft, setDraft] = useState({});
+  const [rangeError, setRangeError] = useState(null);
+
+  useEffect(() => {
+    setDraft({
+      minMagnitude: toInput(ranges.minMagnitude),
+      maxMagnitude: toInput(ranges.maxMagnitude),
+      minDepth: toInput(ranges.minDepth),
+      maxDepth: toInput(ranges.maxDepth),
+    });
+  }, [ranges]);
+
+  const isCustomRange = Object.keys(DEFAULT_RANGES).some(
+    (key) => ranges[key] !== DEFAULT_RANGES[key]
+  );
+
+  const handleApply = (e) => {
+    e.preventDefault();
+
+    const next = {
+      minMagnitude: fromInput(draft.minMagnitude) ?? DEFAULT_RANGES.minMagnitude,
+      maxMagnitude: fromInput(draft.maxMagnitude),
+      minDepth: fromInput(draft.minDepth),
+      maxDepth: fromInput(draft.maxDepth),
+    };
+
+    if (next.maxMagnitude !== null && next.maxMagnitude < next.minMagnitude) {
+      setRangeError('Max magnitude is below the minimum');
+      return;
+    }
+    if (next.minDepth !== null && next.maxDepth !== null && next.maxDepth < next.minDepth) {
+      setRangeError('Max depth is below the minimum');
+      return;
+    }
+
+    setRangeError(null);
+    onRangesChange(next);
+  };
+
+  const handleReset = () => {
+    setRangeError(null);
+    onRangesChange(DEFAULT_RANGES);
+  };
+
+  const updateDraft = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+
+  return (
+    <div className="p-4 pb-2 space-y-2 border-b border-white/10">
+      <div className="flex items-center space-x-2">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 absolute left-2 top-1/2 -translate-y-1/2 text-text-secondary" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => onSearchChange(e.target.value)}
+            placeholder="Search place..."
+            className={`${inputClass} pl-8 pr-7`}
+          />
+          {search && (
+            <button
+              onClick={() => onSearchChange('')}
+              className="absolute right-2 top-1/2 -translate-y-1/2 text-text-secondary hover:text-white"
+              title="Clear search"
+            >
+              <X className="w-3.5 h-3.5" />
+            </button>
+          )}
+        </div>
+
+        <button
+          onClick={() => setShowRanges(!showRanges)}
+          className={`p-2 rounded-lg border transition-colors ${
+            showRanges || isCustomRange
+              ? 'bg-orange-500/20 border-orange-500 text-white'
+              : 'border-white/10 text-text-secondary hover:text-white'
+          }`}
+          title="Magnitude and depth ranges"
+        >
+          <SlidersHorizontal className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex items-center space-x-2">
+        <select
+          value={sortBy}
+          onChange={(e) => onSortChange(e.target.value)}
+          className={`${inputClass} cursor-pointer`}
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              Sort: {option.label}
+            </option>
+          ))}
+        </select>
+
+        <button
+          onClick={() => onGroupSequencesChange(!groupSequences)}
+          className={`p-2 rounded-lg border transition-colors ${
+            groupSequences
+              ? 'bg-orange-500/20 border-orange-500 text-white'
+              : 'border-white/10 text-text-secondary hover:text-white'
+          }`}
+          title="Group aftershocks under their mainshock (Gardner-Knopoff windows)"
+        >
+          <ListTree className="w-4 h-4" />
+        </button>
+      </div>
+
+      {showRanges && (
+        <form onSubmit={handleApply} className="space-y-2 pt-1">
+          <div className="grid grid-cols-[4.5rem_1fr_1fr] gap-2 items-center text-xs text-text-secondary">
+            <span>Magnitude</span>
+            <input
+              type="number"
+              min="2.5"
+              max="10"
+              step="0.1"
+              value={draft.minMagnitude ?? ''}
+              onChange={updateDraft('minMagnitude')}
+              placeholder="Min"
+              className={inputClass}
+            />
+            <input
+              type="number"
+              min="2.5"
+              max="10"
+              step="0.1"
+              value={draft.maxMagnitude ?? ''}
+              onChange={updateDraft('maxMagnitude')}
+              placeholder="Max"
+              className={inputClass}
+            />
+
+            <span>Depth (km)</span>
+            <input
+              type="number"
+              min="-100"
+              max="1000"
+              step="1"
+              value={draft.minDepth ?? ''}
+              onChange={updateDraft('minDepth')}
+              placeholder="Min"
+              className={inputClass}
+            />
+            <input
+              type="number"
+              min="-100"
+              max="1000"
+              step="1"
+              value={draft.maxDepth ?? ''}
+              onChange={updateDraft('maxDepth')}
+              placeholder="Max"
+              className={inputClass}
+            />
+          </div>
+
+          {rangeError && <p className="text-xs text-red-400">{rangeError}</p>}
+
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              className="flex-1 px-3 py-1.5 bg-orange-500 hover:bg-orange-600 text-white rounded-lg transition-colors text-sm font-medium"
+            >
+              Apply
+            </button>
+            <button
+              type="button"
+              onClick={handleReset}
+              className="px-3 py-1.5 border border-white/10 hover:bg-white/5 text-text-secondary hover:text-white rounded-lg transition-colors text-sm"
+            >
+              Reset
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
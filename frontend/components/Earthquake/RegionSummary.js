@@ -0,0 +1,169 @@
+import { useState, useEffect, useMemo } from 'react';
+import { BoxSelect, X } from 'lucide-react';
+import { FORECAST_DAYS, MAGNITUDE_THRESHOLDS, getAftershockForecast, reasenbergJonesCount } from '@/utils/forecast';
+import { declusterEarthquakes } from '@/utils/declustering';
+import { formatMagnitude, formatNumber, getMagnitudeColor } from '@/utils/formatters';
+
+// Forecasting every mainshock in a large selection would flood the API
+const MAX_FORECASTS = 50;
+
+// Regions differ in Mc, so the summed counts share one threshold
+const SUMMARY_MAGNITUDE = MAGNITUDE_THRESHOLDS[0];
+
+// Forecast requests in flight at once
+const FORECAST_CONCURRENCY = 4;
+
+const windowLabels = {
+  day_1: 'Next 24 Hours',
+  day_7: '7 Days',
+  day_30: '30 Days',
+  day_365: '1 Year',
+};
+
+// Runs `task` over `items` with at most `limit` calls in flight, keeping the
+// results in item order
+const mapWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await task(items[idx]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Aggregate statistics and summed forecasts for events inside a drawn region
+export default function RegionSummary({ earthquakes, onClear }) {
+  const [totals, setTotals] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const maxMagnitude = earthquakes.reduce((max, eq) => Math.max(max, eq.magnitude), -Infinity);
+  const forecastKey = earthquakes.map((eq) => eq.id).join(',');
+
+  // Aftershocks belong to their mainshock's forecast, so only mainshocks count
+  const mainshocks = useMemo(
+    () =>
+      declusterEarthquakes(earthquakes)
+        .map((sequence) => sequence.mainshock)
+        .sort((a, b) => b.magnitude - a.magnitude),
+    [forecastKey]
+  );
+
+  useEffect(() => {
+    // Set when the selection changes, so older forecasts are dropped and no
+    // further requests go out for it
+    let cancelled = false;
+
+    const loadForecasts = async () => {
+      setTotals(null);
+      setError(null);
+      if (earthquakes.length === 0) {
+        setLoading(false);
+        return;
+      }
+
+      setLoading(true);
+
+      try {
+        const forecasted = mainshocks.slice(0, MAX_FORECASTS);
+        const responses = await mapWithConcurrency(forecasted, FORECAST_CONCURRENCY, (eq) =>
+          cancelled
+            ? null
+            : getAftershockForecast(eq.magnitude, eq.latitude, eq.longitude, eq.tectonic_setting, null, !!eq.isScenario)
+        );
+        if (cancelled) return;
+
+        // Reasenberg-Jones counts scale with each mainshock; the regional
+        // Omori totals are the same for any magnitude
+        const sums = {};
+        responses.forEach((response, idx) => {
+          const { omori, gr } = response.predictions.parameters;
+          FORECAST_DAYS.forEach((days) => {
+            const { count } = reasenbergJonesCount(omori, gr, forecasted[idx].magnitude, SUMMARY_MAGNITUDE, 0, days);
+            sums[`day_${days}`] = (sums[`day_${days}`] || 0) + count;
+          });
+        });
+        setTotals(sums);
+      } catch (err) {
+        if (!cancelled) setError('Failed to load forecasts for this region');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadForecasts();
+    return () => {
+      cancelled = true;
+    };
+  }, [forecastKey]);
+
+  return (
+    <div className="bg-bg-card border-b border-white/10 p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <BoxSelect className="w-4 h-4 text-blue-500" />
+          <h3 className="font-semibold">Selected Region</h3>
+        </div>
+        <button
+          onClick={onClear}
+          className="p-1 hover:bg-white/10 rounded-lg transition-colors"
+          title="Clear region"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 text-sm">
+        <div>
+          <div className="text-text-secondary text-xs">Events</div>
+          <div className="text-xl font-bold">{earthquakes.length}</div>
+        </div>
+        <div>
+          <div className="text-text-secondary text-xs">Max Magnitude</div>
+          <div
+            className="text-xl font-bold"
+            style={{ color: earthquakes.length ? getMagnitudeColor(maxMagnitude) : undefined }}
+          >
+            {earthquakes.length ? formatMagnitude(maxMagnitude) : '—'}
+          </div>
+        </div>
+      </div>
+
+      {loading && (
+        <div className="text-xs text-text-secondary">Summing aftershock forecasts...</div>
+      )}
+
+      {error && <div className="text-xs text-red-400">{error}</div>}
+
+      {totals && (
+        <div>
+          <div className="text-text-secondary text-xs mb-2">
+            Expected M{SUMMARY_MAGNITUDE.toFixed(1)}+ Aftershocks ({mainshocks.length} mainshock
+            {mainshocks.length === 1 ? '' : 's'})
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(windowLabels)
+              .filter(([key]) => key in totals)
+              .map(([key, label]) => (
+                <div key={key} className="bg-bg-dark rounded-lg p-2 border border-white/10">
+                  <div className="text-text-secondary text-xs">{label}</div>
+                  <div className="font-bold text-orange-500">{formatNumber(totals[key])}</div>
+                </div>
+              ))}
+          </div>
+          {mainshocks.length > MAX_FORECASTS && (
+            <div className="text-xs text-text-secondary mt-2">
+              Sum covers the {MAX_FORECASTS} largest of {mainshocks.length} mainshocks
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { Crosshair, X } from 'lucide-react';
+import { formatCoordinates } from '@/utils/formatters';
+
+const tectonicSettings = [
+  { value: '', label: 'Auto (from location)' },
+  { value: 'ring_of_fire', label: 'Ring of Fire' },
+  { value: 'alpine_himalayan', label: 'Alpine-Himalayan' },
+  { value: 'mid_ocean_ridge', label: 'Mid-Ocean Ridge' },
+  { value: 'stable_continental', label: 'Stable Continental' },
+  { value: 'other', label: 'Other' },
+];
+
+// Builds a hypothetical mainshock at a clicked map location
+export default function ScenarioForm({ location, onSubmit, onCancel }) {
+  const [magnitude, setMagnitude] = useState(6.5);
+  const [depth, setDepth] = useState(10);
+  const [tectonicSetting, setTectonicSetting] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    onSubmit({
+      id: `scenario-${Date.now()}`,
+      magnitude: Number(magnitude),
+      latitude: location.latitude,
+      longitude: location.longitude,
+      depth: Number(depth),
+      time: new Date().toISOString(),
+      place: `Scenario at ${formatCoordinates(location.latitude, location.longitude)}`,
+      tectonic_setting: tectonicSetting || null,
+      isScenario: true,
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/60 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-bg-card border border-white/10 rounded-xl shadow-2xl"
+      >
+        <div className="flex items-center justify-between p-4 border-b border-white/10">
+          <div className="flex items-center space-x-2">
+            <Crosshair className="w-5 h-5 text-purple-400" />
+            <h2 className="text-lg font-bold">What-if Scenario</h2>
+          </div>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4 text-sm">
+          <div>
+            <div className="text-text-secondary">Location</div>
+            <div className="font-medium">
+              {formatCoordinates(location.latitude, location.longitude)}
+            </div>
+          </div>
+
+          <label className="block">
+            <span className="text-text-secondary">Magnitude</span>
+            <input
+              type="number"
+              min={3}
+              max={10}
+              step={0.1}
+              required
+              value={magnitude}
+              onChange={(e) => setMagnitude(e.target.value)}
+              className="mt-1 w-full bg-bg-dark border border-white/10 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+          </label>
+
+          <label className="block">
+            <span className="text-text-secondary">Depth (km)</span>
+            <input
+              type="number"
+              min={0}
+              max={700}
+              step={1}
+              required
+              value={depth}
+              onChange={(e) => setDepth(e.target.value)}
+              className="mt-1 w-full bg-bg-dark border border-white/10 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+          </label>
+
+          <label className="block">
+            <span className="text-text-secondary">Tectonic Setting</span>
+            <select
+              value={tectonicSetting}
+              onChange={(e) => setTectonicSetting(e.target.value)}
+              className="mt-1 w-full bg-bg-dark border border-white/10 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-purple-500 cursor-pointer"
+            >
+              {tectonicSettings.map((setting) => (
+                <option key={setting.value} value={setting.value}>
+                  {setting.label}
+                </option>
+              ))}
+            </select>
+            <span className="text-xs text-text-secondary">
+              Used when no regional model covers this location
+            </span>
+          </label>
+        </div>
+
+        <div className="flex justify-end space-x-2 p-4 border-t border-white/10">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-text-secondary hover:text-white hover:bg-white/10 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors font-medium"
+          >
+            Run Forecast
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { Radar, X } from 'lucide-react';
+import { formatCoordinates } from '@/utils/formatters';
+
+// Names a freshly drawn watch zone and sets its alert threshold
+export default function WatchZoneForm({ shape, onSubmit, onCancel }) {
+  const [name, setName] = useState('');
+  const [minMagnitude, setMinMagnitude] = useState(4.5);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(name.trim(), Number(minMagnitude));
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/60 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-bg-card border border-white/10 rounded-xl shadow-2xl"
+      >
+        <div className="flex items-center justify-between p-4 border-b border-white/10">
+          <div className="flex items-center space-x-2">
+            <Radar className="w-5 h-5 text-teal-400" />
+            <h2 className="text-lg font-bold">New Watch Zone</h2>
+          </div>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4 text-sm">
+          <div>
+            <div className="text-text-secondary">Area</div>
+            <div className="font-medium">
+              {shape.type === 'circle'
+                ? `${Math.round(shape.radiusKm)} km around ${formatCoordinates(shape.center[0], shape.center[1])}`
+                : `Polygon with ${shape.latlngs.length} vertices`}
+            </div>
+          </div>
+
+          <label className="block">
+            <span className="text-text-secondary">Name</span>
+            <input
+              type="text"
+              required
+              autoFocus
+              maxLength={60}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Field office, dam site"
+              className="mt-1 w-full bg-bg-dark border border-white/10 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-teal-500"
+            />
+          </label>
+
+          <label className="block">
+            <span className="text-text-secondary">Flag events from magnitude</span>
+            <input
+              type="number"
+              min={2.5}
+              max={10}
+              step={0.1}
+              required
+              value={minMagnitude}
+              onChange={(e) => setMinMagnitude(e.target.value)}
+              className="mt-1 w-full bg-bg-dark border border-white/10 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-teal-500"
+            />
+          </label>
+        </div>
+
+        <div className="flex justify-end space-x-2 p-4 border-t border-white/10">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-text-secondary hover:text-white hover:bg-white/10 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-teal-600 hover:bg-teal-700 text-white rounded-lg transition-colors font-medium"
+          >
+            Save Zone
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { Radar, ChevronDown, ChevronUp, Trash2, ShieldAlert } from 'lucide-react';
+
+// Saved watch zones with the number of loaded events triggering each
+export default function WatchZonesPanel({ zones, alertCounts, onZoneClick, onDelete }) {
+  const [expanded, setExpanded] = useState(true);
+  const alertingZones = zones.filter((zone) => alertCounts.get(zone.id) > 0).length;
+
+  return (
+    <div className="border-b border-white/10 text-sm">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between px-4 py-2 hover:bg-white/5 transition-colors"
+      >
+        <div className="flex items-center space-x-2">
+          <Radar className="w-4 h-4 text-teal-400" />
+          <span className="font-semibold">Watch Zones ({zones.length})</span>
+          {alertingZones > 0 && (
+            <span className="flex items-center space-x-1 px-1.5 py-0.5 rounded bg-red-500/20 text-red-400 text-xs font-semibold">
+              <ShieldAlert className="w-3 h-3" />
+              <span>{alertingZones}</span>
+            </span>
+          )}
+        </div>
+        {expanded ? (
+          <ChevronUp className="w-4 h-4 text-text-secondary" />
+        ) : (
+          <ChevronDown className="w-4 h-4 text-text-secondary" />
+        )}
+      </button>
+
+      {expanded && (
+        <ul className="px-4 pb-3 space-y-1 max-h-40 overflow-y-auto">
+          {zones.map((zone) => {
+            const count = alertCounts.get(zone.id) || 0;
+
+            return (
+              <li key={zone.id} className="flex items-center justify-between space-x-2">
+                <button
+                  onClick={() => onZoneClick(zone)}
+                  className="flex-1 min-w-0 text-left truncate hover:text-white text-text-secondary"
+                  title="Show on map"
+                >
+                  <span className={count > 0 ? 'text-red-400 font-semibold' : ''}>{zone.name}</span>
+                  <span className="text-xs"> · M{zone.minMagnitude.toFixed(1)}+</span>
+                  {count > 0 && <span className="text-xs text-red-400"> · {count} event{count === 1 ? '' : 's'}</span>}
+                </button>
+                <button
+                  onClick={() => onDelete(zone.id)}
+                  className="p-1 text-text-secondary hover:text-red-400 transition-colors"
+                  title="Delete zone"
+                >
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
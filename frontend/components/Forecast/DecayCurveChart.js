@@ -1,8 +1,9 @@
+import { useState, useMemo } from 'react';
 import { Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
-  CategoryScale,
   LinearScale,
+  LogarithmicScale,
   PointElement,
   LineElement,
   Title,
@@ -10,10 +11,13 @@ import {
   Legend,
   Filler,
 } from 'chart.js';
+import { omoriRate, omoriRateLogStd, omoriWindow, lognormalRange } from '@/utils/forecast';
+import { formatCount, formatElapsed, formatRange } from '@/utils/formatters';
+import ToggleGroup from '../UI/ToggleGroup';
 
 ChartJS.register(
-  CategoryScale,
   LinearScale,
+  LogarithmicScale,
   PointElement,
   LineElement,
   Title,
@@ -22,21 +26,75 @@ ChartJS.register(
   Filler
 );
 
-export default function DecayCurveChart({ forecasts }) {
-  const sortedForecasts = Object.values(forecasts).sort((a, b) => a.days - b.days);
+const tooltipStyle = {
+  backgroundColor: 'rgba(26, 31, 58, 0.95)',
+  titleColor: '#e8eaed',
+  bodyColor: '#e8eaed',
+  borderColor: 'rgba(255, 255, 255, 0.1)',
+  borderWidth: 1,
+  padding: 12,
+};
+
+const axisStyle = (title) => ({
+  ticks: {
+    color: '#9aa0a6',
+  },
+  grid: {
+    color: 'rgba(255, 255, 255, 0.05)',
+  },
+  title: {
+    display: !!title,
+    text: title,
+    color: '#9aa0a6',
+  },
+});
+
+// Cumulative observed aftershocks against the Omori expectation and its
+// Poisson 95% range, on a real time axis
+function ObservedCumulativeChart({ observed }) {
+  const { curve, times, magnitude } = observed;
+  const span = curve[curve.length - 1].days;
+  const steps = [{ x: 0, y: 0 }, ...times.map((days, idx) => ({ x: days, y: idx + 1 })), { x: span, y: times.length }];
   
   const data = {
-    labels: sortedForecasts.map((f) => `Day ${f.days}`),
     datasets: [
       {
-        label: 'Aftershocks per day',
-        data: sortedForecasts.map((f) => f.rate_per_day),
+        label: 'Observed',
+        data: steps,
+        borderColor: '#22d3ee',
+        backgroundColor: '#22d3ee',
+        borderWidth: 2,
+        stepped: 'after',
+        pointRadius: 0,
+        pointHoverRadius: 4,
+      },
+      {
+        label: 'Forecast',
+        data: curve.map((point) => ({ x: point.days, y: point.expected })),
         borderColor: 'rgb(249, 115, 22)',
-        backgroundColor: 'rgba(249, 115, 22, 0.1)',
-        fill: true,
-        tension: 0.4,
-        pointRadius: 4,
-        pointHoverRadius: 6,
+        backgroundColor: 'rgb(249, 115, 22)',
+        borderWidth: 2,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+      },
+      {
+        label: 'Poisson 2.5%',
+        data: curve.map((point) => ({ x: point.days, y: point.low })),
+        borderColor: 'rgba(249, 115, 22, 0.3)',
+        borderWidth: 1,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        fill: false,
+      },
+      {
+        label: 'Poisson 97.5%',
+        data: curve.map((point) => ({ x: point.days, y: point.high })),
+        borderColor: 'rgba(249, 115, 22, 0.3)',
+        backgroundColor: 'rgba(249, 115, 22, 0.15)',
+        borderWidth: 1,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        fill: '-1',
       },
     ],
   };
@@ -44,43 +102,34 @@ export default function DecayCurveChart({ forecasts }) {
   const options = {
     responsive: true,
     maintainAspectRatio: false,
+    interaction: {
+      mode: 'nearest',
+      axis: 'x',
+      intersect: false,
+    },
     plugins: {
       legend: {
-        display: false,
+        labels: {
+          color: '#9aa0a6',
+          boxWidth: 12,
+          filter: (item) => !item.text.startsWith('Poisson'),
+        },
       },
       tooltip: {
-        backgroundColor: 'rgba(26, 31, 58, 0.95)',
-        titleColor: '#e8eaed',
-        bodyColor: '#e8eaed',
-        borderColor: 'rgba(255, 255, 255, 0.1)',
-        borderWidth: 1,
-        padding: 12,
-        displayColors: false,
+        ...tooltipStyle,
+        filter: (item) => item.datasetIndex < 2,
         callbacks: {
-          label: function (context) {
-            return `${context.parsed.y.toFixed(2)} aftershocks/day`;
+          title: (items) => `Day ${items[0].parsed.x.toFixed(1)}`,
+          label: (context) => {
+            const value = context.parsed.y;
+            return `${context.dataset.label}: ${value >= 10 ? Math.round(value) : value.toFixed(1)} events ≥M${magnitude.toFixed(1)}`;
           },
         },
       },
     },
     scales: {
-      y: {
-        beginAtZero: true,
-        ticks: {
-          color: '#9aa0a6',
-        },
-        grid: {
-          color: 'rgba(255, 255, 255, 0.05)',
-        },
-      },
-      x: {
-        ticks: {
-          color: '#9aa0a6',
-        },
-        grid: {
-          color: 'rgba(255, 255, 255, 0.05)',
-        },
-      },
+      x: { ...axisStyle('Days after mainshock'), type: 'linear', min: 0, max: span },
+      y: { ...axisStyle('Cumulative events'), beginAtZero: true },
     },
   };
   
@@ -89,4 +138,269 @@ export default function DecayCurveChart({ forecasts }) {
       <Line data={data} options={options} />
     </div>
   );
-}
\ No newline at end of file
+}
+
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Earliest time on log axes, in days (about 15 minutes)
+const LOG_MIN_DAYS = 0.01;
+
+// Points per curve. Linear axes merge log-spaced and even samples so the
+// steep first hours stay smooth.
+const CURVE_SAMPLES = 150;
+
+const MODES = [
+  { value: 'rate', label: 'Rate' },
+  { value: 'cumulative', label: 'Cumulative' },
+];
+
+const SCALES = [
+  { value: 'log', label: 'Log-log' },
+  { value: 'linear', label: 'Linear' },
+];
+
+const AXIS_TITLES = {
+  rate: 'Aftershocks per day',
+  cumulative: 'Expected aftershocks',
+};
+
+// Analytic Omori rate or cumulative count at `days`, with its 5-95% range
+const decayValue = (omori, days, mode) => {
+  if (mode === 'rate') {
+    const rate = omoriRate(omori, days);
+    return { value: rate, range: lognormalRange(rate, omoriRateLogStd(omori, days)) };
+  }
+  if (days <= 0) return { value: 0, range: [0, 0] };
+  
+  const { count, logStd } = omoriWindow(omori, 0, days);
+  return { value: count, range: lognormalRange(count, logStd) };
+};
+
+const sampleTimes = (span, scale) => {
+  const logStep = Math.log(span / LOG_MIN_DAYS) / CURVE_SAMPLES;
+  const times = Array.from({ length: CURVE_SAMPLES + 1 }, (_, idx) => LOG_MIN_DAYS * Math.exp(logStep * idx));
+  if (scale === 'linear') {
+    times.push(...Array.from({ length: CURVE_SAMPLES + 1 }, (_, idx) => (span * idx) / CURVE_SAMPLES));
+  }
+  return times.sort((a, b) => a - b);
+};
+
+// Snapshot points for a forecast without fitted parameters
+const snapshotPoints = (forecasts, mode) =>
+  Object.values(forecasts)
+    .sort((a, b) => a.days - b.days)
+    .map((f) => ({ x: f.days, y: mode === 'rate' ? f.rate_per_day : f.cumulative_expected }));
+
+// Late-time rates fall well below 0.01 per day
+const formatValue = (value) => (value > 0 && value < 0.01 ? value.toPrecision(2) : formatCount(value));
+
+// Log axes label powers of ten only
+const powerOfTenTick = (value) => {
+  const exponent = Math.log10(value);
+  return Math.abs(exponent - Math.round(exponent)) < 1e-9 ? String(Number(value.toPrecision(1))) : '';
+};
+
+// Dashed "now" markers and a crosshair under the cursor. The hovered time in
+// days (null when the cursor leaves) goes to options.onHover.
+const decayMarkers = {
+  id: 'decayMarkers',
+  afterEvent(chart, args, options) {
+    const { event, inChartArea } = args;
+    const days = event.type !== 'mouseout' && inChartArea ? chart.scales.x.getValueForPixel(event.x) : null;
+    if (days === chart.$hoverDays) return;
+    
+    chart.$hoverDays = days;
+    args.changed = true;
+    if (options.onHover) options.onHover(days);
+  },
+  afterDatasetsDraw(chart, args, options) {
+    const { ctx, chartArea, scales } = chart;
+    
+    const drawVertical = (days, color, dash) => {
+      const x = scales.x.getPixelForValue(days);
+      ctx.save();
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash(dash);
+      ctx.beginPath();
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.bottom);
+      ctx.stroke();
+      ctx.restore();
+      return x;
+    };
+    
+    (options.markers || []).forEach((marker) => {
+      if (marker.days < scales.x.min || marker.days > scales.x.max) return;
+      const x = drawVertical(marker.days, marker.color, [4, 4]);
+      if (marker.label) {
+        ctx.save();
+        ctx.fillStyle = marker.color;
+        ctx.font = '11px sans-serif';
+        ctx.fillText(marker.label, x + 4, chartArea.top + 12);
+        ctx.restore();
+      }
+    });
+    
+    if (chart.$hoverDays != null) drawVertical(chart.$hoverDays, 'rgba(255, 255, 255, 0.3)', []);
+  },
+};
+
+// Omori decay drawn as a continuous function of time since the mainshock
+function OmoriDecayChart({ lines, isComparison }) {
+  const [mode, setMode] = useState('rate');
+  const [scale, setScale] = useState('log');
+  const [hoverDays, setHoverDays] = useState(null);
+  
+  const span = Math.max(...lines.flatMap((line) => Object.values(line.forecasts).map((f) => f.days)));
+  const showBand = !isComparison && !!lines[0].parameters;
+  
+  const markers = useMemo(
+    () =>
+      lines
+        .filter((line) => line.mainshockTime != null)
+        .map((line) => ({
+          days: (Date.now() - line.mainshockTime) / DAY_MS,
+          color: isComparison ? line.color : '#e8eaed',
+          label: isComparison ? null : 'Now',
+        })),
+    [lines]
+  );
+  
+  const data = useMemo(() => {
+    const times = sampleTimes(span, scale);
+    const datasets = lines.map((line) => {
+      const omori = line.parameters?.omori;
+      return {
+        label: line.label,
+        data: omori
+          ? times.map((days) => ({ x: days, y: decayValue(omori, days, mode).value }))
+          : snapshotPoints(line.forecasts, mode),
+        borderColor: line.color,
+        backgroundColor: line.color,
+        borderWidth: 2,
+        pointRadius: omori ? 0 : 4,
+        pointHoverRadius: omori ? 0 : 6,
+      };
+    });
+    
+    if (showBand) {
+      const ranges = times.map((days) => decayValue(lines[0].parameters.omori, days, mode).range);
+      const bandDataset = (label, bound) => ({
+        label,
+        data: times.map((days, idx) => ({ x: days, y: ranges[idx][bound] })),
+        borderColor: 'rgba(249, 115, 22, 0.3)',
+        borderWidth: 1,
+        backgroundColor: 'rgba(249, 115, 22, 0.15)',
+        fill: bound === 1 ? '-1' : false,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+      });
+      datasets.push(bandDataset('5% bound', 0), bandDataset('95% bound', 1));
+    }
+    
+    return { datasets };
+  }, [lines, mode, scale]);
+  
+  const options = useMemo(() => {
+    const isLog = scale === 'log';
+    const axis = (title, extra) => {
+      const style = axisStyle(title);
+      return {
+        ...style,
+        ...extra,
+        type: isLog ? 'logarithmic' : 'linear',
+        ticks: isLog ? { ...style.ticks, callback: powerOfTenTick } : style.ticks,
+      };
+    };
+    
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: isComparison,
+          labels: {
+            color: '#9aa0a6',
+            boxWidth: 12,
+            filter: (item) => item.datasetIndex < lines.length,
+          },
+        },
+        // Readouts below the chart replace the point-snapping tooltip
+        tooltip: { enabled: false },
+        decayMarkers: { markers, onHover: setHoverDays },
+      },
+      scales: {
+        x: axis('Days after mainshock', { min: isLog ? LOG_MIN_DAYS : 0, max: span }),
+        y: axis(AXIS_TITLES[mode], { beginAtZero: !isLog }),
+      },
+    };
+  }, [lines, markers, mode, scale]);
+  
+  // Without a hover, a single event reads out at the present
+  const readoutDays = hoverDays ?? (!isComparison && markers[0]?.days <= span ? markers[0].days : null);
+  const readouts = lines
+    .filter((line) => line.parameters && readoutDays != null)
+    .map((line) => ({ line, ...decayValue(line.parameters.omori, readoutDays, mode) }));
+  
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-3">
+        <ToggleGroup options={MODES} value={mode} onChange={setMode} />
+        <ToggleGroup options={SCALES} value={scale} onChange={setScale} />
+      </div>
+      
+      <div className="h-64">
+        <Line data={data} options={options} plugins={[decayMarkers]} />
+      </div>
+      
+      <div className="mt-3 text-xs text-text-secondary min-h-[2.5rem] space-y-1">
+        {readouts.length > 0 ? (
+          <>
+            <div className="text-white font-medium">
+              {formatElapsed(readoutDays)} after the mainshock{hoverDays == null && ' (now)'}
+            </div>
+            {readouts.map(({ line, value, range }) => (
+              <div key={line.label} className="flex items-center space-x-2">
+                {isComparison && <span className="w-2 h-2 rounded-full" style={{ backgroundColor: line.color }} />}
+                <span>
+                  {isComparison && `${line.label}: `}
+                  {formatValue(value)} {mode === 'rate' ? 'aftershocks/day' : 'aftershocks expected by then'} (5–95%:{' '}
+                  {formatRange(range, formatValue)})
+                </span>
+              </div>
+            ))}
+          </>
+        ) : (
+          <span>
+            Hover the chart to read the forecast at any time
+            {isComparison && markers.length > 0 && '; dashed lines mark the present for each event'}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// A single forecast, or several overlaid for comparison via
+// series: [{ label, color, forecasts, parameters, mainshockTime }]. Curves
+// come from the fitted Omori parameters (predictions.parameters) when given,
+// otherwise from the forecast snapshots; mainshockTime (epoch ms) places a
+// "now" marker. A single forecast also shades its 5-95% range.
+// With `observed` ({ curve, times, magnitude }) it instead compares the
+// cumulative observed count with the forecast.
+export default function DecayCurveChart({
+  forecasts,
+  parameters = null,
+  mainshockTime = null,
+  series = null,
+  observed = null,
+}) {
+  if (observed) return <ObservedCumulativeChart observed={observed} />;
+  
+  const lines = series || [
+    { label: 'Aftershocks', color: 'rgb(249, 115, 22)', forecasts, parameters, mainshockTime },
+  ];
+  return <OmoriDecayChart lines={lines} isComparison={!!series} />;
+}
@@ -0,0 +1,264 @@
+import { useState, useEffect } from 'react';
+import { CalendarClock, Plus, X } from 'lucide-react';
+import { getAftershockForecast } from '@/utils/forecast';
+import { getErrorMessage } from '@/utils/api';
+import { getEventTime } from '@/utils/playback';
+import { formatCount, formatElapsed, formatProbability, formatRange } from '@/utils/formatters';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Windows per event; the backend accepts more, but cards get unwieldy
+const MAX_WINDOWS = 6;
+
+// One-click windows starting now, lengths in hours
+const WINDOW_PRESETS = [
+  { label: 'Next 6 hours', hours: 6 },
+  { label: 'Next 24 hours', hours: 24 },
+  { label: 'Next 7 days', hours: 7 * 24 },
+  { label: 'Next 30 days', hours: 30 * 24 },
+];
+
+const DEFAULT_PRESETS = ['Next 24 hours', 'Next 7 days'];
+
+const inputClass =
+  'bg-bg-dark border border-white/10 rounded-lg px-2 py-1.5 text-sm text-white placeholder-text-secondary focus:outline-none focus:ring-2 focus:ring-orange-500';
+
+const daysSinceEvent = (earthquake) => Math.max(0, (Date.now() - getEventTime(earthquake)) / DAY_MS);
+
+// A window of `hours` starting now, in days after the event. `key` comes
+// from what the user asked for, since the start moves with the clock.
+const windowFromNow = (earthquake, label, hours) => {
+  const start = daysSinceEvent(earthquake);
+  return { key: `now-${hours}h`, label, start_days: start, end_days: start + hours / 24 };
+};
+
+// Integrated aftershock counts and exceedance probabilities for user-chosen
+// windows, measured from the event time
+export default function ForecastWindows({ earthquake }) {
+  const [windows, setWindows] = useState([]);
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState({ anchor: 'now', length: '12', unit: 'hours', from: '3', to: '10' });
+  const [draftError, setDraftError] = useState(null);
+
+  useEffect(() => {
+    setWindows(
+      WINDOW_PRESETS.filter((preset) => DEFAULT_PRESETS.includes(preset.label)).map((preset) =>
+        windowFromNow(earthquake, preset.label, preset.hours)
+      )
+    );
+  }, [earthquake.id]);
+
+  const windowsKey = windows.map((entry) => entry.key).join(',');
+
+  useEffect(() => {
+    if (windows.length === 0) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const loadWindows = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await getAftershockForecast(
+          earthquake.magnitude,
+          earthquake.latitude,
+          earthquake.longitude,
+          earthquake.tectonic_setting,
+          windows.map(({ key, ...interval }) => interval),
+          !!earthquake.isScenario
+        );
+        // Windows come back in request order
+        const forecasts = (response.predictions.windows || []).map((result, idx) => ({
+          ...result,
+          key: windows[idx].key,
+        }));
+        if (!cancelled) setResults(forecasts);
+      } catch (err) {
+        if (!cancelled) setError(getErrorMessage(err, 'Failed to load window forecasts'));
+        console.error(err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadWindows();
+    return () => {
+      cancelled = true;
+    };
+  }, [earthquake.id, windowsKey]);
+
+  const addWindow = (entry) => {
+    if (windows.length >= MAX_WINDOWS) {
+      setDraftError(`At most ${MAX_WINDOWS} windows`);
+      return;
+    }
+    if (windows.some((existing) => existing.key === entry.key)) {
+      setDraftError('That window is already listed');
+      return;
+    }
+    setDraftError(null);
+    setWindows([...windows, entry]);
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+
+    if (draft.anchor === 'now') {
+      const length = Number(draft.length);
+      if (!(length > 0)) {
+        setDraftError('Length must be positive');
+        return;
+      }
+      const hours = draft.unit === 'days' ? length * 24 : length;
+      addWindow(windowFromNow(earthquake, `Next ${length} ${draft.unit}`, hours));
+    } else {
+      const from = Number(draft.from);
+      const to = Number(draft.to);
+      if (draft.from === '' || draft.to === '' || !(from >= 0) || !(to > from)) {
+        setDraftError('End day must be after start day');
+        return;
+      }
+      addWindow({ key: `event-${from}-${to}`, label: `Days ${from}–${to}`, start_days: from, end_days: to });
+    }
+  };
+
+  const removeWindow = (key) => setWindows(windows.filter((entry) => entry.key !== key));
+
+  const updateDraft = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+
+  return (
+    <div className="bg-bg-card rounded-xl p-6 border border-white/10">
+      <div className="flex items-center space-x-2 mb-4">
+        <CalendarClock className="w-5 h-5 text-orange-500" />
+        <h3 className="text-lg font-semibold">Forecast Windows</h3>
+      </div>
+
+      {/* Presets */}
+      <div className="flex flex-wrap gap-2 mb-3">
+        {WINDOW_PRESETS.map((preset) => (
+          <button
+            key={preset.label}
+            onClick={() => addWindow(windowFromNow(earthquake, preset.label, preset.hours))}
+            className="px-2.5 py-1 rounded-lg border border-white/10 text-xs text-text-secondary hover:text-white hover:border-white/20 transition-colors"
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Custom Window */}
+      <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+        <select value={draft.anchor} onChange={updateDraft('anchor')} className={`${inputClass} cursor-pointer`}>
+          <option value="now">From now</option>
+          <option value="event">After event</option>
+        </select>
+
+        {draft.anchor === 'now' ? (
+          <>
+            <span className="text-text-secondary">for</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft.length}
+              onChange={updateDraft('length')}
+              className={`${inputClass} w-20`}
+            />
+            <select value={draft.unit} onChange={updateDraft('unit')} className={`${inputClass} cursor-pointer`}>
+              <option value="hours">hours</option>
+              <option value="days">days</option>
+            </select>
+          </>
+        ) : (
+          <>
+            <span className="text-text-secondary">day</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft.from}
+              onChange={updateDraft('from')}
+              className={`${inputClass} w-20`}
+            />
+            <span className="text-text-secondary">to</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft.to}
+              onChange={updateDraft('to')}
+              className={`${inputClass} w-20`}
+            />
+          </>
+        )}
+
+        <button
+          type="submit"
+          className="flex items-center space-x-1 px-3 py-1.5 bg-orange-500 hover:bg-orange-600 text-white rounded-lg transition-colors font-medium"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add</span>
+        </button>
+      </form>
+
+      {draftError && <p className="text-xs text-red-400 mb-2">{draftError}</p>}
+      {error && <p className="text-xs text-red-400 mb-2">{error}</p>}
+
+      {/* Results */}
+      <div className={`space-y-3 mt-4 transition-opacity ${loading ? 'opacity-50' : ''}`}>
+        {results.map((result) => (
+          <div key={result.key} className="bg-bg-dark rounded-lg p-4 border border-white/10">
+            <div className="flex items-start justify-between mb-2">
+              <div>
+                <div className="font-semibold">{result.label}</div>
+                <div className="text-xs text-text-secondary">
+                  {formatElapsed(result.start_days)} to {formatElapsed(result.end_days)} after the event
+                </div>
+              </div>
+              <div className="flex items-start space-x-2">
+                <div className="text-right">
+                  <div className="text-xl font-bold text-orange-500">{formatCount(result.expected_aftershocks)}</div>
+                  <div className="text-xs text-text-secondary">
+                    M{result.min_magnitude.toFixed(1)}+ expected ({formatRange(result.expected_range, formatCount)})
+                  </div>
+                </div>
+                <button
+                  onClick={() => removeWindow(result.key)}
+                  className="p-1 hover:bg-white/10 rounded transition-colors text-text-secondary hover:text-white"
+                  title="Remove window"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-x-4 gap-y-1 pt-2 border-t border-white/10 text-xs">
+              {Object.entries(result.magnitude_probabilities).map(([key, prob]) => (
+                <div key={key} className="flex justify-between" title={`5–95%: ${formatRange(prob.probability_range, formatProbability)}`}>
+                  <span className={prob.foreshock ? 'text-red-400' : 'text-text-secondary'}>P(≥{key})</span>
+                  <span className="font-medium">{formatProbability(prob.probability)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {results.length > 0 && (
+          <p className="text-xs text-text-secondary">
+            Scaled from the mainshock magnitude with the Reasenberg–Jones rate and the region&apos;s b, p and c.
+            Red thresholds are at or above the mainshock: the odds that it was a foreshock.
+          </p>
+        )}
+
+        {windows.length === 0 && (
+          <p className="text-sm text-text-secondary">Add a window to see its integrated forecast.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+} from 'chart.js';
+import { TrendingUp } from 'lucide-react';
+import { largestAftershockCdf } from '@/utils/forecast';
+import { formatProbability } from '@/utils/formatters';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip
+);
+
+const BIN_WIDTH = 0.1;
+
+// Magnitude bins covering the bulk of the distribution and the mainshock
+const distributionBins = (largest, mainshockMagnitude) => {
+  const start = Math.floor((largest.most_likely_magnitude - 1) * 10) / 10;
+  const end = Math.max(largest.magnitude_range[1] + 0.5, mainshockMagnitude + 0.3);
+  const count = Math.ceil((end - start) / BIN_WIDTH);
+
+  return Array.from({ length: count }, (_, idx) => {
+    const low = start + idx * BIN_WIDTH;
+    const high = low + BIN_WIDTH;
+    return {
+      low,
+      probability: largestAftershockCdf(largest, high) - largestAftershockCdf(largest, low),
+    };
+  });
+};
+
+// How large the biggest aftershock may get, and the chance that a later
+// event outgrows the mainshock, from predictions.largest_aftershock
+export default function LargestAftershock({ largest, mainshockMagnitude }) {
+  const bins = distributionBins(largest, mainshockMagnitude);
+  // Bins at or above the mainshock, allowing for float drift in the edges
+  const isLarger = (bin) => bin.low >= mainshockMagnitude - 1e-9;
+
+  const data = {
+    labels: bins.map((bin) => bin.low.toFixed(1)),
+    datasets: [
+      {
+        label: 'Largest aftershock',
+        data: bins.map((bin) => bin.probability * 100),
+        backgroundColor: bins.map((bin) => (isLarger(bin) ? 'rgba(239, 68, 68, 0.8)' : 'rgba(249, 115, 22, 0.7)')),
+        borderWidth: 0,
+        barPercentage: 1,
+        categoryPercentage: 0.9,
+      },
+    ],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false,
+      },
+      tooltip: {
+        backgroundColor: 'rgba(26, 31, 58, 0.95)',
+        titleColor: '#e8eaed',
+        bodyColor: '#e8eaed',
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+        borderWidth: 1,
+        padding: 12,
+        displayColors: false,
+        callbacks: {
+          title: (items) => {
+            const low = bins[items[0].dataIndex].low;
+            return `M${low.toFixed(1)}–${(low + BIN_WIDTH).toFixed(1)}`;
+          },
+          label: (context) => `${context.parsed.y.toFixed(1)}% chance of being the largest`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        ticks: {
+          color: '#9aa0a6',
+          autoSkip: true,
+          maxTicksLimit: 8,
+        },
+        grid: {
+          display: false,
+        },
+        title: {
+          display: true,
+          text: 'Magnitude',
+          color: '#9aa0a6',
+        },
+      },
+      y: {
+        beginAtZero: true,
+        ticks: {
+          color: '#9aa0a6',
+          callback: (value) => `${value}%`,
+        },
+        grid: {
+          color: 'rgba(255, 255, 255, 0.05)',
+        },
+      },
+    },
+  };
+
+  return (
+    <div className="bg-bg-card rounded-xl p-6 border border-white/10">
+      <div className="flex items-center space-x-2 mb-4">
+        <TrendingUp className="w-5 h-5 text-orange-500" />
+        <h3 className="text-lg font-semibold">Largest Aftershock</h3>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <div className="bg-bg-dark rounded-lg p-4">
+          <div className="text-xs text-text-secondary mb-1">Most likely largest</div>
+          <div className="text-2xl font-bold text-orange-500">M{largest.most_likely_magnitude.toFixed(1)}</div>
+          <div className="text-xs text-text-secondary mt-1">
+            90%: M{largest.magnitude_range[0].toFixed(1)}–{largest.magnitude_range[1].toFixed(1)}
+          </div>
+        </div>
+        <div className="bg-bg-dark rounded-lg p-4">
+          <div className="text-xs text-text-secondary mb-1">Larger event to follow</div>
+          <div className="text-2xl font-bold text-red-400">
+            {formatProbability(largest.mainshock_exceedance_probability)}
+          </div>
+          <div className="text-xs text-text-secondary mt-1">
+            chance this M{mainshockMagnitude.toFixed(1)} is a foreshock
+          </div>
+        </div>
+      </div>
+
+      <div className="h-40">
+        <Bar data={data} options={options} />
+      </div>
+
+      <p className="text-xs text-text-secondary mt-3">
+        Båth&apos;s law (ΔM = {largest.delta_m}) with the region&apos;s b = {largest.b_value.toFixed(2)}, over the
+        whole sequence. Red bars are at or above the mainshock.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Activity } from 'lucide-react';
+import { fetchRecentEarthquakes } from '@/utils/api';
+import { MAX_EVENTS } from '@/utils/catalog';
+import { getEventTime } from '@/utils/playback';
+import { formatCount } from '@/utils/formatters';
+import {
+  observationRadiusKm,
+  observationSpanDays,
+  observationMagnitude,
+  observedTimes,
+  expectedObserved,
+  assessObservedFit,
+  expectedCurve,
+} from '@/utils/observedForecast';
+import DecayCurveChart from './DecayCurveChart';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FIT_STATUS = {
+  consistent: { label: 'Consistent with forecast', color: '#10b981' },
+  hotter: { label: 'Running hotter than forecast', color: '#ef4444' },
+  colder: { label: 'Running colder than forecast', color: '#3b82f6' },
+};
+
+// Aftershocks recorded so far near a mainshock, compared with the Omori
+// forecast for the same magnitude threshold
+export default function ObservedVsForecast({ earthquake, parameters }) {
+  const [events, setEvents] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const magnitude = observationMagnitude(parameters.gr);
+  const radiusKm = observationRadiusKm(earthquake.magnitude);
+  const spanDays = observationSpanDays(earthquake);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadObserved = async () => {
+      setLoading(true);
+      setError(null);
+      setEvents(null);
+
+      try {
+        const start = getEventTime(earthquake);
+        const data = await fetchRecentEarthquakes(undefined, magnitude, MAX_EVENTS, {
+          startTime: new Date(start).toISOString(),
+          endTime: new Date(start + spanDays * DAY_MS).toISOString(),
+          latitude: earthquake.latitude,
+          longitude: earthquake.longitude,
+          maxRadiusKm: radiusKm,
+        });
+        if (!cancelled) setEvents(data.earthquakes || []);
+      } catch (err) {
+        if (!cancelled) setError('Observed events are unavailable right now');
+        console.error(err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadObserved();
+    return () => {
+      cancelled = true;
+    };
+  }, [earthquake.id]);
+
+  const comparison = useMemo(() => {
+    if (!events) return null;
+    const times = observedTimes(earthquake, events);
+    return {
+      times,
+      curve: expectedCurve(parameters, earthquake.magnitude, magnitude, spanDays),
+      fit: assessObservedFit(times.length, expectedObserved(parameters, earthquake.magnitude, magnitude, spanDays)),
+    };
+  }, [events]);
+
+  const status = comparison && FIT_STATUS[comparison.fit.status];
+
+  return (
+    <div className="bg-bg-card rounded-xl p-6 border border-white/10">
+      <div className="flex items-center space-x-2 mb-1">
+        <Activity className="w-5 h-5 text-orange-500" />
+        <h3 className="text-lg font-semibold">Observed vs Forecast</h3>
+      </div>
+      <p className="text-xs text-text-secondary mb-4">
+        M{magnitude.toFixed(1)}+ events within {Math.round(radiusKm)} km since the mainshock
+      </p>
+
+      {loading && <p className="text-sm text-text-secondary">Loading observed aftershocks...</p>}
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {comparison && spanDays > 0 && (
+        <>
+          <div
+            className="flex items-center justify-between rounded-lg border px-4 py-3 mb-4"
+            style={{ borderColor: status.color, backgroundColor: `${status.color}15` }}
+          >
+            <span className="font-semibold" style={{ color: status.color }}>
+              {status.label}
+            </span>
+            <span className="text-sm text-text-secondary">
+              {comparison.fit.observed} observed · {formatCount(comparison.fit.expected)} expected (95%:{' '}
+              {comparison.fit.low}–{comparison.fit.high})
+            </span>
+          </div>
+
+          <DecayCurveChart observed={{ curve: comparison.curve, times: comparison.times, magnitude }} />
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,3 +1,4 @@
+import { useState } from 'react';
 import { Bar } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -8,6 +9,7 @@ import {
   Tooltip,
   Legend,
 } from 'chart.js';
+import ToggleGroup from '../UI/ToggleGroup';
 
 ChartJS.register(
   CategoryScale,
@@ -18,24 +20,103 @@ ChartJS.register(
   Legend
 );
 
-export default function ProbabilityChart({ probabilities }) {
-  const sortedProbs = Object.entries(probabilities)
-    .sort((a, b) => b[1].magnitude - a[1].magnitude);
+// Draws 5-95% whiskers across each bar from the dataset's `ranges`
+// ([[low, high], ...] in percent, null to skip a bar)
+const rangeWhiskers = {
+  id: 'rangeWhiskers',
+  afterDatasetsDraw(chart) {
+    const { ctx, scales } = chart;
+    
+    chart.data.datasets.forEach((dataset, datasetIndex) => {
+      if (!dataset.ranges || !chart.isDatasetVisible(datasetIndex)) return;
+      
+      chart.getDatasetMeta(datasetIndex).data.forEach((bar, idx) => {
+        const range = dataset.ranges[idx];
+        if (!range) return;
+        
+        const left = scales.x.getPixelForValue(range[0]);
+        const right = scales.x.getPixelForValue(range[1]);
+        const cap = Math.min(6, bar.height / 3);
+        
+        ctx.save();
+        ctx.strokeStyle = '#e8eaed';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(left, bar.y);
+        ctx.lineTo(right, bar.y);
+        ctx.moveTo(left, bar.y - cap);
+        ctx.lineTo(left, bar.y + cap);
+        ctx.moveTo(right, bar.y - cap);
+        ctx.lineTo(right, bar.y + cap);
+        ctx.stroke();
+        ctx.restore();
+      });
+    });
+  },
+};
+
+const METHODS = [
+  { value: 'gr', label: 'Regional G-R' },
+  { value: 'rj', label: 'Reasenberg–Jones' },
+];
+
+const DEFAULT_RJ_WINDOW = 'day_7';
+
+// A single event's probabilities, or several grouped for comparison via
+// series: [{ label, color, probabilities, reasenbergJones }]. When
+// reasenbergJones (predictions.reasenberg_jones) is given, users can switch
+// from the time-independent regional G-R odds to Reasenberg-Jones odds
+// within a chosen time after the mainshock.
+export default function ProbabilityChart({ probabilities, reasenbergJones = null, series = null }) {
+  const [method, setMethod] = useState('gr');
+  const [rjWindow, setRjWindow] = useState(DEFAULT_RJ_WINDOW);
+  
+  const isComparison = !!series;
+  const entries = series || [{ probabilities, reasenbergJones }];
+  const hasReasenbergJones = entries.every((entry) => entry.reasenbergJones);
+  const rjWindows = hasReasenbergJones ? entries[0].reasenbergJones.windows : {};
+  const useReasenbergJones = method === 'rj' && hasReasenbergJones && !!rjWindows[rjWindow];
+  const selected = entries.map((entry) =>
+    useReasenbergJones ? entry.reasenbergJones.windows[rjWindow].magnitude_probabilities : entry.probabilities
+  );
+  
+  // Events can have different thresholds, so group over their union
+  const thresholds = {};
+  selected.forEach((entryProbabilities) => {
+    Object.entries(entryProbabilities).forEach(([key, prob]) => {
+      thresholds[key] = prob.magnitude;
+    });
+  });
+  const sortedKeys = Object.keys(thresholds).sort((a, b) => thresholds[b] - thresholds[a]);
+  // Thresholds at or above a mainshock are the odds that it was a foreshock
+  const isForeshock = (idx, key) => !!selected[idx][key]?.foreshock;
+  const hasForeshock = sortedKeys.some((key) => selected.some((_, idx) => isForeshock(idx, key)));
   
   const data = {
-    labels: sortedProbs.map(([key]) => key),
-    datasets: [
-      {
-        label: 'Probability',
-        data: sortedProbs.map(([_, prob]) => prob.percentage),
-        backgroundColor: sortedProbs.map((_, idx) => {
-          const alpha = 0.8 - (idx * 0.1);
-          return `rgba(249, 115, 22, ${alpha})`;
-        }),
-        borderColor: 'rgb(249, 115, 22)',
-        borderWidth: 1,
-      },
-    ],
+    labels: sortedKeys,
+    datasets: isComparison
+      ? series.map((entry, idx) => ({
+          label: entry.label,
+          data: sortedKeys.map((key) => selected[idx][key]?.percentage ?? null),
+          backgroundColor: `${entry.color}cc`,
+          borderColor: entry.color,
+          borderWidth: 1,
+        }))
+      : [
+          {
+            label: 'Probability',
+            data: sortedKeys.map((key) => selected[0][key].percentage),
+            ranges: sortedKeys.map((key) =>
+              selected[0][key].probability_range?.map((value) => value * 100) ?? null
+            ),
+            backgroundColor: sortedKeys.map((key, idx) => {
+              const alpha = Math.max(0.8 - (idx * 0.1), 0.3);
+              return isForeshock(0, key) ? `rgba(239, 68, 68, ${alpha})` : `rgba(249, 115, 22, ${alpha})`;
+            }),
+            borderColor: sortedKeys.map((key) => (isForeshock(0, key) ? 'rgb(239, 68, 68)' : 'rgb(249, 115, 22)')),
+            borderWidth: 1,
+          },
+        ],
   };
   
   const options = {
@@ -44,7 +125,11 @@ export default function ProbabilityChart({ probabilities }) {
     indexAxis: 'y',
     plugins: {
       legend: {
-        display: false,
+        display: isComparison,
+        labels: {
+          color: '#9aa0a6',
+          boxWidth: 12,
+        },
       },
       tooltip: {
         backgroundColor: 'rgba(26, 31, 58, 0.95)',
@@ -53,10 +138,16 @@ export default function ProbabilityChart({ probabilities }) {
         borderColor: 'rgba(255, 255, 255, 0.1)',
         borderWidth: 1,
         padding: 12,
-        displayColors: false,
+        displayColors: isComparison,
         callbacks: {
           label: function (context) {
-            return `${context.parsed.x.toFixed(1)}% probability`;
+            const foreshock = isForeshock(context.datasetIndex, sortedKeys[context.dataIndex]);
+            const probability = `${context.parsed.x.toFixed(1)}% probability${foreshock ? ' (foreshock odds)' : ''}`;
+            return isComparison ? `${context.dataset.label}: ${probability}` : probability;
+          },
+          afterLabel: function (context) {
+            const range = context.dataset.ranges?.[context.dataIndex];
+            return range ? `5–95%: ${range[0].toFixed(1)}% – ${range[1].toFixed(1)}%` : '';
           },
         },
       },
@@ -86,9 +177,39 @@ export default function ProbabilityChart({ probabilities }) {
     },
   };
   
+  const chart = (
+    <>
+      <div className={isComparison ? 'h-72' : 'h-48'}>
+        <Bar data={data} options={options} plugins={[rangeWhiskers]} />
+      </div>
+      {hasForeshock && (
+        <p className="text-xs text-text-secondary mt-2">
+          {isComparison ? 'Thresholds' : 'Red bars'} at or above the mainshock are foreshock odds: the chance
+          of a later, larger event.
+        </p>
+      )}
+    </>
+  );
+  if (!hasReasenbergJones) return chart;
+  
   return (
-    <div className="h-48">
-      <Bar data={data} options={options} />
+    <div>
+      <div className="flex flex-wrap gap-2 mb-2">
+        <ToggleGroup options={METHODS} value={method} onChange={setMethod} />
+        {method === 'rj' && (
+          <ToggleGroup
+            options={Object.entries(rjWindows).map(([key, entry]) => ({ value: key, label: `${entry.days} d` }))}
+            value={rjWindow}
+            onChange={setRjWindow}
+          />
+        )}
+      </div>
+      <p className="text-xs text-text-secondary mb-3">
+        {useReasenbergJones
+          ? `At least one aftershock within ${rjWindows[rjWindow].days} day${rjWindows[rjWindow].days === 1 ? '' : 's'} of the mainshock, scaled from its magnitude`
+          : 'At least one aftershock, from the regional magnitude-frequency fit regardless of time'}
+      </p>
+      {chart}
     </div>
   );
 }
\ No newline at end of file
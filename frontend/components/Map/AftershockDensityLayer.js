@@ -0,0 +1,111 @@
+import { useEffect, useState } from 'react';
+import { Circle, Popup } from 'react-leaflet';
+import { getAftershockForecast } from '@/utils/forecast';
+import { formatNumber } from '@/utils/formatters';
+import {
+  ruptureLength,
+  aftershockDensity,
+  calculateDensityContours,
+  hazardExpectedCount,
+} from '@/utils/hazard';
+
+// Graded aftershock density contours for a mainshock: a kernel as wide as
+// its Wells & Coppersmith rupture, weighted by the 30-day count scaled from
+// its magnitude. Circular, since the fault strike is unknown.
+export default function AftershockDensityLayer({ earthquake, onClick }) {
+  const [expectedCount, setExpectedCount] = useState(null);
+  const [minMagnitude, setMinMagnitude] = useState(null);
+
+  useEffect(() => {
+    loadForecast();
+  }, [earthquake]);
+
+  const loadForecast = async () => {
+    setExpectedCount(null);
+
+    try {
+      const response = await getAftershockForecast(
+        earthquake.magnitude,
+        earthquake.latitude,
+        earthquake.longitude,
+        earthquake.tectonic_setting,
+        null,
+        !!earthquake.isScenario
+      );
+      const { parameters } = response.predictions;
+      setExpectedCount(hazardExpectedCount(parameters, earthquake.magnitude));
+      setMinMagnitude(parameters.gr.Mc);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const center = [earthquake.latitude, earthquake.longitude];
+  const rupture = ruptureLength(earthquake.magnitude);
+  const contours = calculateDensityContours(earthquake.magnitude, expectedCount);
+  const peakDensity = expectedCount
+    ? aftershockDensity(0, earthquake.magnitude, expectedCount) * 100
+    : null;
+
+  return (
+    <>
+      {/* Density bands, outermost first so the core stacks on top */}
+      {contours.map((contour) => (
+        <Circle
+          key={`density-${contour.density}`}
+          center={center}
+          radius={contour.radiusKm * 1000}
+          pathOptions={{
+            color: contour.color,
+            weight: 1,
+            opacity: 0.7,
+            fillColor: contour.color,
+            fillOpacity: 0.18,
+          }}
+          eventHandlers={{ click: () => onClick(earthquake) }}
+        >
+          <Popup>
+            <div className="text-sm">
+              <div className="font-bold" style={{ color: contour.color }}>
+                ≥ {contour.density} aftershocks / 100 km²
+              </div>
+              <div className="text-xs mt-1">
+                Radius: ~{formatNumber(contour.radiusKm)} km
+              </div>
+              <div className="text-xs text-gray-600">
+                Expected M{minMagnitude.toFixed(1)}+ density in the first 30 days
+              </div>
+            </div>
+          </Popup>
+        </Circle>
+      ))}
+
+      {/* Rupture extent from magnitude scaling */}
+      <Circle
+        center={center}
+        radius={(rupture / 2) * 1000}
+        pathOptions={{
+          color: '#ffffff',
+          weight: 1.5,
+          opacity: 0.9,
+          dashArray: '4 4',
+          fill: false,
+        }}
+      >
+        <Popup>
+          <div className="text-sm">
+            <div className="font-bold">Estimated Rupture</div>
+            <div className="text-xs mt-1">
+              Length: ~{rupture < 10 ? rupture.toFixed(1) : formatNumber(rupture)} km
+            </div>
+            {peakDensity !== null && (
+              <div className="text-xs text-gray-600">
+                Peak density: {formatNumber(peakDensity)} aftershocks / 100 km²
+              </div>
+            )}
+          </div>
+        </Popup>
+      </Circle>
+    </>
+  );
+}
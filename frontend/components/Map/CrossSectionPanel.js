@@ -0,0 +1,138 @@
+import { Scatter } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { X } from 'lucide-react';
+import { formatMagnitude, formatDepth, getMagnitudeColor, truncatePlace } from '@/utils/formatters';
+import { haversineDistance } from '@/utils/geo';
+
+ChartJS.register(
+  LinearScale,
+  PointElement,
+  Tooltip,
+  Legend
+);
+
+export const SWATH_WIDTHS = [25, 50, 100, 200];
+
+// Depth-vs-distance profile of events inside the swath around a drawn line
+export default function CrossSectionPanel({ events, line, swathKm, onSwathChange, onClose }) {
+  const lengthKm = haversineDistance(line[0], line[1]);
+
+  const data = {
+    datasets: [
+      {
+        label: 'Events',
+        data: events.map((item) => ({
+          x: item.alongTrackKm,
+          y: item.earthquake.depth,
+          earthquake: item.earthquake,
+        })),
+        pointBackgroundColor: events.map((item) => getMagnitudeColor(item.earthquake.magnitude)),
+        pointBorderColor: 'rgba(255, 255, 255, 0.8)',
+        pointBorderWidth: 1,
+        pointRadius: events.map((item) => Math.max(3, item.earthquake.magnitude * 1.2)),
+        pointHoverRadius: events.map((item) => Math.max(5, item.earthquake.magnitude * 1.5)),
+      },
+    ],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false,
+      },
+      tooltip: {
+        backgroundColor: 'rgba(26, 31, 58, 0.95)',
+        titleColor: '#e8eaed',
+        bodyColor: '#e8eaed',
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+        borderWidth: 1,
+        padding: 12,
+        displayColors: false,
+        callbacks: {
+          title: function (items) {
+            return truncatePlace(items[0].raw.earthquake.place, 40);
+          },
+          label: function (context) {
+            const eq = context.raw.earthquake;
+            return `${formatMagnitude(eq.magnitude)} · ${formatDepth(eq.depth)} deep · ${Math.round(context.parsed.x)} km along`;
+          },
+        },
+      },
+    },
+    scales: {
+      x: {
+        min: 0,
+        max: Math.ceil(lengthKm),
+        title: {
+          display: true,
+          text: 'Distance along profile (km)',
+          color: '#9aa0a6',
+        },
+        ticks: {
+          color: '#9aa0a6',
+        },
+        grid: {
+          color: 'rgba(255, 255, 255, 0.05)',
+        },
+      },
+      y: {
+        reverse: true,
+        beginAtZero: true,
+        title: {
+          display: true,
+          text: 'Depth (km)',
+          color: '#9aa0a6',
+        },
+        ticks: {
+          color: '#9aa0a6',
+        },
+        grid: {
+          color: 'rgba(255, 255, 255, 0.05)',
+        },
+      },
+    },
+  };
+
+  return (
+    <div className="absolute bottom-4 left-4 z-10 w-[calc(100%-2rem)] max-w-xl bg-bg-card/95 backdrop-blur-lg border border-white/10 rounded-lg p-4 text-xs shadow-lg">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-semibold text-white text-sm">
+          Cross-Section ({events.length} events, {Math.round(lengthKm)} km)
+        </div>
+        <div className="flex items-center space-x-2">
+          <span className="text-text-secondary">Swath ±</span>
+          <select
+            value={swathKm}
+            onChange={(e) => onSwathChange(Number(e.target.value))}
+            className="bg-bg-dark border border-white/10 rounded-lg px-2 py-1 text-white focus:outline-none focus:ring-2 focus:ring-orange-500 cursor-pointer"
+          >
+            {SWATH_WIDTHS.map((width) => (
+              <option key={width} value={width}>
+                {width} km
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-white/10 rounded-lg transition-colors"
+            title="Close cross-section"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="h-56">
+        <Scatter data={data} options={options} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import { useEffect, useState } from 'react';
+import { Circle, Polygon, Polyline, useMap, useMapEvents } from 'react-leaflet';
+import { rectangleToLatLngs, haversineDistance, wrapRing } from '@/utils/geo';
+
+const previewStyle = {
+  color: '#3b82f6',
+  weight: 2,
+  dashArray: '6 4',
+  fillColor: '#3b82f6',
+  fillOpacity: 0.1,
+};
+
+// Drop consecutive duplicate vertices (a double-click also fires two clicks)
+function dedupe(points) {
+  return points.filter((point, idx) => {
+    if (idx === 0) return true;
+    const prev = points[idx - 1];
+    return prev[0] !== point[0] || prev[1] !== point[1];
+  });
+}
+
+// Click-driven drawing on the map.
+// line: click the start and end points.
+// rectangle: click two opposite corners.
+// circle: click the center, then a point on the edge.
+// polygon: click each vertex, double-click or click the first vertex to finish.
+// Escape cancels.
+// Vertices keep the longitudes of the world copy they were clicked on while
+// drawing; the finished shape is moved back to canonical longitudes.
+export default function DrawTool({ mode, onComplete, onCancel }) {
+  const map = useMap();
+  const [points, setPoints] = useState([]);
+  const [cursor, setCursor] = useState(null);
+
+  // Crosshair cursor and no double-click zoom while drawing
+  useEffect(() => {
+    const container = map.getContainer();
+    container.style.cursor = 'crosshair';
+    map.doubleClickZoom.disable();
+
+    return () => {
+      container.style.cursor = '';
+      map.doubleClickZoom.enable();
+    };
+  }, [map]);
+
+  useEffect(() => {
+    setPoints([]);
+    setCursor(null);
+  }, [mode]);
+
+  const finish = (ring) => {
+    setPoints([]);
+    setCursor(null);
+    onComplete({ type: mode, latlngs: wrapRing(ring) });
+  };
+
+  const finishCircle = (center, edge) => {
+    setPoints([]);
+    setCursor(null);
+    onComplete({ type: 'circle', center: wrapRing([center])[0], radiusKm: haversineDistance(center, edge) });
+  };
+
+  useMapEvents({
+    click: (e) => {
+      const point = [e.latlng.lat, e.latlng.lng];
+
+      if (mode === 'circle') {
+        if (points.length === 0) {
+          setPoints([point]);
+        } else {
+          finishCircle(points[0], point);
+        }
+        return;
+      }
+
+      if (mode === 'rectangle' || mode === 'line') {
+        if (points.length === 0) {
+          setPoints([point]);
+        } else {
+          finish(mode === 'line' ? [points[0], point] : rectangleToLatLngs(points[0], point));
+        }
+        return;
+      }
+
+      // Clicking near the first vertex closes the polygon
+      if (points.length >= 3) {
+        const first = map.latLngToContainerPoint(points[0]);
+        if (first.distanceTo(e.containerPoint) < 10) {
+          finish(points);
+          return;
+        }
+      }
+      setPoints([...points, point]);
+    },
+    dblclick: () => {
+      if (mode !== 'polygon') return;
+      const ring = dedupe(points);
+      if (ring.length >= 3) finish(ring);
+    },
+    mousemove: (e) => {
+      setCursor([e.latlng.lat, e.latlng.lng]);
+    },
+    keydown: (e) => {
+      if (e.originalEvent.key === 'Escape') {
+        setPoints([]);
+        onCancel();
+      }
+    },
+  });
+
+  if (points.length === 0 || !cursor) return null;
+
+  if (mode === 'line') {
+    return (
+      <Polyline
+        positions={[points[0], cursor]}
+        pathOptions={previewStyle}
+        interactive={false}
+      />
+    );
+  }
+
+  if (mode === 'circle') {
+    return (
+      <Circle
+        center={points[0]}
+        radius={haversineDistance(points[0], cursor) * 1000}
+        pathOptions={previewStyle}
+        interactive={false}
+      />
+    );
+  }
+
+  if (mode === 'rectangle') {
+    return (
+      <Polygon
+        positions={rectangleToLatLngs(points[0], cursor)}
+        pathOptions={previewStyle}
+        interactive={false}
+      />
+    );
+  }
+
+  return (
+    <>
+      {points.length >= 2 && (
+        <Polygon positions={points} pathOptions={{ ...previewStyle, dashArray: null }} interactive={false} />
+      )}
+      <Polyline
+        positions={[points[points.length - 1], cursor]}
+        pathOptions={previewStyle}
+        interactive={false}
+      />
+    </>
+  );
+}
@@ -1,9 +1,56 @@
-import { useEffect, useRef, useState } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Circle, useMap } from 'react-leaflet';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Polygon, Polyline, CircleMarker, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
-import { formatMagnitude, formatTimeAgo, getMagnitudeColor, truncatePlace } from '@/utils/formatters';
+import {
+  Layers,
+  Flame,
+  Map as MapIcon,
+  BoxSelect,
+  Pentagon,
+  XCircle,
+  Crosshair,
+  Waypoints,
+  Spline,
+  ArrowDownToLine,
+  Ruler,
+  Radar,
+  ShieldPlus,
+} from 'lucide-react';
+import {
+  formatMagnitude,
+  formatTimeAgo,
+  getMagnitudeColor,
+  getDepthColor,
+  getQualityColor,
+  truncatePlace,
+  DEPTH_BANDS,
+} from '@/utils/formatters';
+import { DENSITY_LEVELS } from '@/utils/hazard';
+import { BASE_LAYERS, DEFAULT_BASE_LAYER, getBaseLayer } from '@/utils/tileSources';
+import { getCrossSectionEvents, profileCorridor } from '@/utils/geo';
+import { WATCH_ZONE_COLOR, WATCH_ZONE_ALERT_COLOR } from '@/utils/watchZones';
+import ModelCoverageLayer from './ModelCoverageLayer';
+import AftershockDensityLayer from './AftershockDensityLayer';
+import EpicenterClusterLayer from './EpicenterClusterLayer';
+import DrawTool from './DrawTool';
+import TectonicOverlays, { BOUNDARY_COLORS, FAULT_COLORS } from './TectonicOverlays';
+import CrossSectionPanel, { SWATH_WIDTHS } from './CrossSectionPanel';
+import WatchZoneLayer from './WatchZoneLayer';
+import SequenceLayer, { SEQUENCE_COLOR } from './SequenceLayer';
 import 'leaflet/dist/leaflet.css';
 
+// Events at or above this magnitude get density contours even when not selected
+const HAZARD_MAGNITUDE_CUTOFF = 7.0;
+
+// Watch zones are drawn with the generic DrawTool shapes
+const DRAW_TOOL_MODES = {
+  'zone-circle': 'circle',
+  'zone-polygon': 'polygon',
+};
+
+// Horizontal shift (fraction of map width) that keeps targets clear of the detail panel
+const PANEL_OFFSET_RATIO = -0.17;
+
 // Component to update map view
 function ChangeView({ center, zoom, hasRightPanel = true }) {
   const map = useMap();
@@ -18,7 +65,7 @@ function ChangeView({ center, zoom, hasRightPanel = true }) {
 
     // Calculate offset so that the marker ends up centered in visible map portion
     // For example, if your detail panel covers ~25% of the width, shift the target left by that much
-    const offsetX = hasRightPanel ? mapSize.x * -0.17 : 0; // tweak 0.25 → 0.3 if needed
+    const offsetX = hasRightPanel ? mapSize.x * PANEL_OFFSET_RATIO : 0; // tweak 0.25 → 0.3 if needed
     const offsetY = 0;
 
     // Compute the *adjusted center* directly in map coordinates
@@ -40,124 +87,70 @@ function ChangeView({ center, zoom, hasRightPanel = true }) {
 
 
 
-// Calculate hazard zone radii based on magnitude
-function calculateHazardZones(magnitude) {
-  // Empirical formula: radius increases exponentially with magnitude
-  // These zones represent areas likely affected by aftershocks
-  const baseRadius = Math.pow(10, magnitude - 2) * 1000; // in meters
-  
-  return {
-    critical: baseRadius * 0.3,  // Inner zone - highest risk
-    high: baseRadius * 0.6,      // Middle zone - high risk
-    moderate: baseRadius * 1.0,  // Outer zone - moderate risk
-  };
-}
+// Reports the visible view after each pan or zoom, undoing the detail panel
+// offset so that feeding the center back into ChangeView lands in the same place
+function ViewReporter({ hasRightPanel, onViewChange }) {
+  const map = useMap();
 
-// Get opacity and color based on zone type and magnitude
-function getZoneStyle(zoneType, magnitude) {
-  const color = getMagnitudeColor(magnitude);
-  
-  const styles = {
-    critical: {
-      fillColor: color,
-      fillOpacity: 0.35,
-      color: color,
-      weight: 2,
-      opacity: 0.8,
-    },
-    high: {
-      fillColor: color,
-      fillOpacity: 0.20,
-      color: color,
-      weight: 1.5,
-      opacity: 0.6,
+  useMapEvents({
+    moveend: () => {
+      const zoom = map.getZoom();
+      const offsetX = hasRightPanel ? map.getSize().x * PANEL_OFFSET_RATIO : 0;
+      const point = map.project(map.getCenter(), zoom);
+      const center = map.unproject(L.point(point.x + offsetX, point.y), zoom);
+
+      onViewChange({ center: [center.lat, center.lng], zoom });
     },
-    moderate: {
-      fillColor: color,
-      fillOpacity: 0.10,
-      color: color,
-      weight: 1,
-      opacity: 0.4,
+  });
+
+  return null;
+}
+
+// Reports a single map click (used to place scenario mainshocks)
+function ClickToPlace({ onPlace }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const container = map.getContainer();
+    container.style.cursor = 'crosshair';
+    return () => {
+      container.style.cursor = '';
+    };
+  }, [map]);
+
+  useMapEvents({
+    click: (e) => {
+      // Clicks on a wrapped world copy report longitudes beyond ±180
+      const { lat, lng } = e.latlng.wrap();
+      onPlace({ latitude: lat, longitude: lng });
     },
-  };
-  
-  return styles[zoneType];
+  });
+
+  return null;
 }
 
-// Hazard zones component for an earthquake
-function HazardZones({ earthquake, onClick }) {
-  const zones = calculateHazardZones(earthquake.magnitude);
-  const center = [earthquake.latitude, earthquake.longitude];
-  
+// Toggle button for optional map layers
+function LayerToggle({ active, onToggle, icon: Icon, label, title }) {
   return (
-    <>
-      {/* Moderate zone (outermost) */}
-      <Circle
-        center={center}
-        radius={zones.moderate}
-        pathOptions={getZoneStyle('moderate', earthquake.magnitude)}
-        eventHandlers={{ click: () => onClick(earthquake) }}
-      >
-        <Popup>
-          <div className="text-sm">
-            <div className="font-bold text-yellow-600">Moderate Risk Zone</div>
-            <div className="text-xs mt-1">
-              Radius: ~{Math.round(zones.moderate / 1000)} km
-            </div>
-            <div className="text-xs text-gray-600">
-              Area with potential for noticeable aftershocks
-            </div>
-          </div>
-        </Popup>
-      </Circle>
-      
-      {/* High risk zone (middle) */}
-      <Circle
-        center={center}
-        radius={zones.high}
-        pathOptions={getZoneStyle('high', earthquake.magnitude)}
-        eventHandlers={{ click: () => onClick(earthquake) }}
-      >
-        <Popup>
-          <div className="text-sm">
-            <div className="font-bold text-orange-600">High Risk Zone</div>
-            <div className="text-xs mt-1">
-              Radius: ~{Math.round(zones.high / 1000)} km
-            </div>
-            <div className="text-xs text-gray-600">
-              Area with high probability of strong aftershocks
-            </div>
-          </div>
-        </Popup>
-      </Circle>
-      
-      {/* Critical zone (innermost) */}
-      <Circle
-        center={center}
-        radius={zones.critical}
-        pathOptions={getZoneStyle('critical', earthquake.magnitude)}
-        eventHandlers={{ click: () => onClick(earthquake) }}
-      >
-        <Popup>
-          <div className="text-sm">
-            <div className="font-bold text-red-600">Critical Risk Zone</div>
-            <div className="text-xs mt-1">
-              Radius: ~{Math.round(zones.critical / 1000)} km
-            </div>
-            <div className="text-xs text-gray-600">
-              Epicenter area - highest aftershock risk
-            </div>
-          </div>
-        </Popup>
-      </Circle>
-    </>
+    <button
+      onClick={onToggle}
+      className={`flex items-center space-x-2 px-3 py-2 rounded-lg border text-xs font-medium shadow-lg transition-colors ${
+        active
+          ? 'bg-orange-500 border-orange-500 text-white'
+          : 'bg-bg-card/95 border-white/10 text-text-secondary hover:text-white'
+      }`}
+      title={title}
+    >
+      <Icon className="w-4 h-4" />
+      <span className="hidden lg:inline">{label}</span>
+    </button>
   );
 }
 
-// Epicenter marker component
-function EpicenterMarker({ earthquake, onClick, isSelected }) {
+// Epicenter marker component (used for the selected event)
+function EpicenterMarker({ earthquake, onClick, isSelected, colorBy = 'magnitude' }) {
   const mag = earthquake.magnitude;
-  const color = getMagnitudeColor(mag);
+  const color = colorBy === 'depth' ? getDepthColor(earthquake.depth) : getMagnitudeColor(mag);
   const radius = Math.max(8, Math.min(24, mag * 4));
   const containerSize = Math.max(48, radius * 4);
 
@@ -212,7 +205,7 @@ function EpicenterMarker({ earthquake, onClick, isSelected }) {
       position={[earthquake.latitude, earthquake.longitude]}
       icon={icon}
       eventHandlers={{
-        click: () => onClick(earthquake),
+        click: (e) => onClick(earthquake, e.originalEvent),
       }}
     >
       <Popup>
@@ -235,9 +228,68 @@ function EpicenterMarker({ earthquake, onClick, isSelected }) {
   );
 }
 
-export default function EarthquakeMap({ earthquakes, selectedEarthquake, onEarthquakeClick, center, zoom }) {
+export default function EarthquakeMap({
+  earthquakes,
+  selectedEarthquake,
+  onEarthquakeClick,
+  center,
+  zoom,
+  playback = null,
+  selectionShape = null,
+  onSelectionChange,
+  onScenarioRequest,
+  onViewChange,
+  watchZones = [],
+  zoneAlertCounts = new Map(),
+  onZoneDraw,
+  highlightedSequence = null,
+  comparedEarthquakes = [],
+  comparisonColors = [],
+}) {
   const [mapCenter, setMapCenter] = useState(center || [20, 0]);
   const [mapZoom, setMapZoom] = useState(zoom || 2);
+  const [showCoverage, setShowCoverage] = useState(false);
+  const [showMajorHazards, setShowMajorHazards] = useState(false);
+  const [baseLayerId, setBaseLayerId] = useState(DEFAULT_BASE_LAYER);
+  const baseLayer = getBaseLayer(baseLayerId);
+  const [drawMode, setDrawMode] = useState(null);
+  const [scenarioMode, setScenarioMode] = useState(false);
+  const [showPlates, setShowPlates] = useState(false);
+  const [showFaults, setShowFaults] = useState(false);
+  const [colorBy, setColorBy] = useState('magnitude');
+  const [profileLine, setProfileLine] = useState(null);
+  const [swathKm, setSwathKm] = useState(SWATH_WIDTHS[1]);
+  
+  const crossSectionEvents = useMemo(() => {
+    if (!profileLine) return [];
+    return getCrossSectionEvents(earthquakes, profileLine[0], profileLine[1], swathKm);
+  }, [earthquakes, profileLine, swathKm]);
+  
+  // Aftershocks of the selected sequence are pulled out of the clusters and
+  // drawn on their own so the whole sequence stands out
+  const sequenceMemberIds = useMemo(
+    () => new Set(highlightedSequence ? highlightedSequence.aftershocks.map((eq) => eq.id) : []),
+    [highlightedSequence]
+  );
+  
+  const sequenceMembers = useMemo(
+    () => earthquakes.filter((eq) => sequenceMemberIds.has(eq.id)),
+    [earthquakes, sequenceMemberIds]
+  );
+  
+  const clusteredEarthquakes = useMemo(
+    () => (sequenceMemberIds.size > 0 ? earthquakes.filter((eq) => !sequenceMemberIds.has(eq.id)) : earthquakes),
+    [earthquakes, sequenceMemberIds]
+  );
+  
+  // Density contours are costly, so only the selected event and major events get them
+  const hazardEarthquakes = useMemo(() => {
+    const major = showMajorHazards
+      ? earthquakes.filter((eq) => eq.magnitude >= HAZARD_MAGNITUDE_CUTOFF)
+      : [];
+    if (!selectedEarthquake) return major;
+    return [selectedEarthquake, ...major.filter((eq) => eq.id !== selectedEarthquake.id)];
+  }, [earthquakes, selectedEarthquake, showMajorHazards]);
   
   useEffect(() => {
     if (center) setMapCenter(center);
@@ -268,7 +320,8 @@ export default function EarthquakeMap({ earthquakes, selectedEarthquake, onEarth
           animation: epicenter-ring 2000ms ease-out infinite;
         }
         
-        .custom-epicenter-marker {
+        .custom-epicenter-marker,
+        .custom-cluster-marker {
           background: transparent !important;
           border: none !important;
         }
@@ -279,90 +332,430 @@ export default function EarthquakeMap({ earthquakes, selectedEarthquake, onEarth
         zoom={mapZoom}
         style={{ height: '100%', width: '100%' }}
         zoomControl={true}
+        preferCanvas={true}
         className="z-0"
       >
         <ChangeView center={mapCenter} zoom={mapZoom} hasRightPanel={!!selectedEarthquake} />
+        {onViewChange && (
+          <ViewReporter hasRightPanel={!!selectedEarthquake} onViewChange={onViewChange} />
+        )}
         
-        {/* Satellite imagery base layer */}
+        {/* Base layer */}
         <TileLayer
-          attribution='&copy; <a href="https://www.esri.com">Esri</a>'
-          url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
+          key={`base-${baseLayer.id}`}
+          attribution={baseLayer.attribution}
+          url={baseLayer.url}
+          maxZoom={baseLayer.maxZoom || 19}
         />
         
         {/* Labels overlay */}
-        <TileLayer
-          attribution=''
-          url="https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}"
+        {baseLayer.labelsUrl && (
+          <TileLayer
+            key={`labels-${baseLayer.id}`}
+            attribution=''
+            url={baseLayer.labelsUrl}
+          />
+        )}
+        
+        {/* Regional model coverage (drawn beneath density contours and markers) */}
+        {showCoverage && <ModelCoverageLayer />}
+        
+        {/* Plate boundaries and active faults */}
+        <TectonicOverlays showPlates={showPlates} showFaults={showFaults} />
+        
+        {/* Drawn region selection */}
+        {selectionShape && (
+          <Polygon
+            positions={selectionShape.latlngs}
+            pathOptions={{
+              color: '#3b82f6',
+              weight: 2,
+              fillColor: '#3b82f6',
+              fillOpacity: 0.08,
+            }}
+            interactive={false}
+          />
+        )}
+        
+        {/* Personal watch zones */}
+        <WatchZoneLayer zones={watchZones} alertCounts={zoneAlertCounts} />
+        
+        {/* Cross-section profile and swath */}
+        {profileLine && (
+          <>
+            <Polygon
+              positions={profileCorridor(profileLine[0], profileLine[1], swathKm)}
+              pathOptions={{
+                color: '#a855f7',
+                weight: 1,
+                dashArray: '4 4',
+                fillColor: '#a855f7',
+                fillOpacity: 0.06,
+              }}
+              interactive={false}
+            />
+            <Polyline
+              positions={profileLine}
+              pathOptions={{ color: '#a855f7', weight: 3 }}
+              interactive={false}
+            />
+          </>
+        )}
+        
+        {drawMode && (
+          <DrawTool
+            mode={DRAW_TOOL_MODES[drawMode] || drawMode}
+            onComplete={(shape) => {
+              const isZone = drawMode.startsWith('zone-');
+              setDrawMode(null);
+              if (isZone) {
+                onZoneDraw(shape);
+              } else if (shape.type === 'line') {
+                setProfileLine(shape.latlngs);
+              } else {
+                onSelectionChange(shape);
+              }
+            }}
+            onCancel={() => setDrawMode(null)}
+          />
+        )}
+        
+        {scenarioMode && !drawMode && (
+          <ClickToPlace
+            onPlace={(location) => {
+              setScenarioMode(false);
+              onScenarioRequest(location);
+            }}
+          />
+        )}
+        
+        {/* Render aftershock density for the selected and major earthquakes */}
+        {hazardEarthquakes.map((eq) => (
+          <AftershockDensityLayer
+            key={`density-${eq.id}`}
+            earthquake={eq}
+            onClick={onEarthquakeClick}
+          />
+        ))}
+        
+        {/* Clustered canvas epicenters */}
+        <EpicenterClusterLayer
+          earthquakes={clusteredEarthquakes}
+          selectedEarthquake={selectedEarthquake}
+          onClick={onEarthquakeClick}
+          playback={playback}
+          colorBy={colorBy}
         />
         
-        {/* Render hazard zones only for the selected earthquake */}
-        {selectedEarthquake ? (
-          <HazardZones
-            key={`zones-${selectedEarthquake.id}`}
-            earthquake={selectedEarthquake}
+        {/* Selected sequence */}
+        {highlightedSequence && (
+          <SequenceLayer
+            mainshock={highlightedSequence.mainshock}
+            members={sequenceMembers}
             onClick={onEarthquakeClick}
+            colorBy={colorBy}
           />
-        ) : null}
+        )}
+        
+        {/* Events picked for comparison */}
+        {comparedEarthquakes.map((eq, idx) => (
+          <CircleMarker
+            key={`compare-${eq.id}`}
+            center={[eq.latitude, eq.longitude]}
+            radius={16}
+            pathOptions={{ color: comparisonColors[idx], weight: 3, fill: false }}
+            interactive={false}
+          />
+        ))}
         
-        {/* Render epicenter markers on top */}
-        {earthquakes.map((eq) => (
+        {/* Selected epicenter on top */}
+        {selectedEarthquake && (
           <EpicenterMarker
-            key={`marker-${eq.id}`}
-            earthquake={eq}
+            key={`marker-${selectedEarthquake.id}`}
+            earthquake={selectedEarthquake}
             onClick={onEarthquakeClick}
-            isSelected={selectedEarthquake && selectedEarthquake.id === eq.id}
+            isSelected={true}
+            colorBy={colorBy}
           />
-        ))}
+        )}
       </MapContainer>
       
+      {/* Layer Toggles */}
+      <div className="absolute top-4 right-4 z-10 flex flex-col items-end space-y-2 max-h-[calc(100%-2rem)] overflow-y-auto">
+        <label
+          className="flex items-center space-x-2 px-3 py-2 rounded-lg border text-xs font-medium shadow-lg bg-bg-card/95 border-white/10 text-text-secondary"
+          title="Base map style"
+        >
+          <MapIcon className="w-4 h-4" />
+          <select
+            value={baseLayer.id}
+            onChange={(e) => setBaseLayerId(e.target.value)}
+            className="bg-transparent text-white focus:outline-none cursor-pointer"
+          >
+            {BASE_LAYERS.map((layer) => (
+              <option key={layer.id} value={layer.id} className="bg-bg-dark">
+                {layer.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <LayerToggle
+          active={showCoverage}
+          onToggle={() => setShowCoverage(!showCoverage)}
+          icon={Layers}
+          label="Model Coverage"
+          title="Show which grid cells have a trained regional model"
+        />
+        <LayerToggle
+          active={showMajorHazards}
+          onToggle={() => setShowMajorHazards(!showMajorHazards)}
+          icon={Flame}
+          label={`M${HAZARD_MAGNITUDE_CUTOFF.toFixed(1)}+ Hazard`}
+          title="Draw density contours for every major event, not just the selected one"
+        />
+        <LayerToggle
+          active={colorBy === 'depth'}
+          onToggle={() => setColorBy(colorBy === 'depth' ? 'magnitude' : 'depth')}
+          icon={ArrowDownToLine}
+          label="Color by Depth"
+          title="Color epicenters by hypocenter depth instead of magnitude"
+        />
+        <LayerToggle
+          active={drawMode === 'line'}
+          onToggle={() => setDrawMode(drawMode === 'line' ? null : 'line')}
+          icon={Ruler}
+          label="Cross-Section"
+          title="Click a start and end point to plot depth along a profile"
+        />
+        <LayerToggle
+          active={showPlates}
+          onToggle={() => setShowPlates(!showPlates)}
+          icon={Waypoints}
+          label="Plate Boundaries"
+          title="Show generalized tectonic plate boundaries"
+        />
+        <LayerToggle
+          active={showFaults}
+          onToggle={() => setShowFaults(!showFaults)}
+          icon={Spline}
+          label="Active Faults"
+          title="Show major active fault traces"
+        />
+        {onSelectionChange && (
+          <>
+            <LayerToggle
+              active={drawMode === 'rectangle'}
+              onToggle={() => setDrawMode(drawMode === 'rectangle' ? null : 'rectangle')}
+              icon={BoxSelect}
+              label="Draw Rectangle"
+              title="Click two corners to select a region"
+            />
+            <LayerToggle
+              active={drawMode === 'polygon'}
+              onToggle={() => setDrawMode(drawMode === 'polygon' ? null : 'polygon')}
+              icon={Pentagon}
+              label="Draw Polygon"
+              title="Click each vertex, double-click to finish, Esc to cancel"
+            />
+            {selectionShape && (
+              <LayerToggle
+                active={false}
+                onToggle={() => onSelectionChange(null)}
+                icon={XCircle}
+                label="Clear Region"
+                title="Remove the region filter"
+              />
+            )}
+          </>
+        )}
+        {onZoneDraw && (
+          <>
+            <LayerToggle
+              active={drawMode === 'zone-circle'}
+              onToggle={() => setDrawMode(drawMode === 'zone-circle' ? null : 'zone-circle')}
+              icon={Radar}
+              label="Watch Radius"
+              title="Click a site, then a point on the edge, to watch everything within that radius"
+            />
+            <LayerToggle
+              active={drawMode === 'zone-polygon'}
+              onToggle={() => setDrawMode(drawMode === 'zone-polygon' ? null : 'zone-polygon')}
+              icon={ShieldPlus}
+              label="Watch Area"
+              title="Click each vertex of an area to watch, double-click to finish"
+            />
+          </>
+        )}
+        {onScenarioRequest && (
+          <LayerToggle
+            active={scenarioMode}
+            onToggle={() => setScenarioMode(!scenarioMode)}
+            icon={Crosshair}
+            label="What-if Scenario"
+            title="Click the map to forecast a hypothetical mainshock there"
+          />
+        )}
+      </div>
+      
+      {/* Cross-Section Chart */}
+      {profileLine && (
+        <CrossSectionPanel
+          events={crossSectionEvents}
+          line={profileLine}
+          swathKm={swathKm}
+          onSwathChange={setSwathKm}
+          onClose={() => setProfileLine(null)}
+        />
+      )}
+      
       {/* Enhanced Legend */}
       <div className="absolute bottom-4 right-4 bg-bg-card/95 backdrop-blur-lg border border-white/10 rounded-lg p-4 text-xs z-10 max-w-xs">
-        <div className="font-semibold mb-3 text-white text-sm">Hazard Zone Legend</div>
+        <div className="font-semibold mb-3 text-white text-sm">Hazard Legend</div>
         
-        {/* Magnitude Scale */}
-        <div className="mb-3">
-          <div className="text-text-secondary text-xs mb-2">Magnitude Scale</div>
-          <div className="space-y-1">
-            <div className="flex items-center space-x-2">
-              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: '#dc2626' }}></div>
-              <span className="text-text-secondary">M ≥ 7.0 - Major</span>
-            </div>
-            <div className="flex items-center space-x-2">
-              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: '#f59e0b' }}></div>
-              <span className="text-text-secondary">M 6.0-6.9 - Strong</span>
-            </div>
-            <div className="flex items-center space-x-2">
-              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: '#fbbf24' }}></div>
-              <span className="text-text-secondary">M 5.0-5.9 - Moderate</span>
+        {/* Epicenter Colors */}
+        {colorBy === 'depth' ? (
+          <div className="mb-3">
+            <div className="text-text-secondary text-xs mb-2">Depth Scale</div>
+            <div className="space-y-1">
+              {DEPTH_BANDS.map((band) => (
+                <div key={band.label} className="flex items-center space-x-2">
+                  <div className="w-4 h-4 rounded-full" style={{ backgroundColor: band.color }}></div>
+                  <span className="text-text-secondary">{band.label}</span>
+                </div>
+              ))}
             </div>
-            <div className="flex items-center space-x-2">
-              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: '#10b981' }}></div>
-              <span className="text-text-secondary">M 4.0-4.9 - Light</span>
+          </div>
+        ) : (
+          <div className="mb-3">
+            <div className="text-text-secondary text-xs mb-2">Magnitude Scale</div>
+            <div className="space-y-1">
+              <div className="flex items-center space-x-2">
+                <div className="w-4 h-4 rounded-full" style={{ backgroundColor: '#dc2626' }}></div>
+                <span className="text-text-secondary">M ≥ 7.0 - Major</span>
+              </div>
+              <div className="flex items-center space-x-2">
+                <div className="w-4 h-4 rounded-full" style={{ backgroundColor: '#f59e0b' }}></div>
+                <span className="text-text-secondary">M 6.0-6.9 - Strong</span>
+              </div>
+              <div className="flex items-center space-x-2">
+                <div className="w-4 h-4 rounded-full" style={{ backgroundColor: '#fbbf24' }}></div>
+                <span className="text-text-secondary">M 5.0-5.9 - Moderate</span>
+              </div>
+              <div className="flex items-center space-x-2">
+                <div className="w-4 h-4 rounded-full" style={{ backgroundColor: '#10b981' }}></div>
+                <span className="text-text-secondary">M 4.0-4.9 - Light</span>
+              </div>
             </div>
           </div>
-        </div>
+        )}
         
-        {/* Risk Zones */}
+        {/* Aftershock Density */}
         <div>
-          <div className="text-text-secondary text-xs mb-2">Risk Zones</div>
+          <div className="text-text-secondary text-xs mb-2">Aftershock Density (first 30 days)</div>
           <div className="space-y-1">
+            {DENSITY_LEVELS.map((level) => (
+              <div key={level.density} className="flex items-center space-x-2">
+                <div
+                  className="w-3 h-3 rounded-full border"
+                  style={{ borderColor: level.color, backgroundColor: `${level.color}66` }}
+                ></div>
+                <span className="text-text-secondary">≥ {level.density} per 100 km²</span>
+              </div>
+            ))}
             <div className="flex items-center space-x-2">
-              <div className="w-3 h-3 rounded-full border-2 border-red-500 bg-red-500/40"></div>
-              <span className="text-text-secondary">Critical (Epicenter)</span>
+              <div className="w-3 h-3 rounded-full border border-dashed border-white"></div>
+              <span className="text-text-secondary">Estimated rupture extent</span>
             </div>
-            <div className="flex items-center space-x-2">
-              <div className="w-3 h-3 rounded-full border border-orange-500 bg-orange-500/20"></div>
-              <span className="text-text-secondary">High Risk</span>
+          </div>
+        </div>
+        
+        {/* Plate Boundaries */}
+        {showPlates && (
+          <div className="mt-3">
+            <div className="text-text-secondary text-xs mb-2">Plate Boundaries</div>
+            <div className="space-y-1">
+              {Object.entries(BOUNDARY_COLORS).map(([type, color]) => (
+                <div key={type} className="flex items-center space-x-2">
+                  <div className="w-4 h-0.5" style={{ backgroundColor: color }}></div>
+                  <span className="text-text-secondary capitalize">{type}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        
+        {/* Active Faults */}
+        {showFaults && (
+          <div className="mt-3">
+            <div className="text-text-secondary text-xs mb-2">Active Faults</div>
+            <div className="space-y-1">
+              {Object.entries(FAULT_COLORS).map(([type, color]) => (
+                <div key={type} className="flex items-center space-x-2">
+                  <div className="w-4 border-t-2 border-dashed" style={{ borderColor: color }}></div>
+                  <span className="text-text-secondary capitalize">{type}</span>
+                </div>
+              ))}
             </div>
+          </div>
+        )}
+        
+        {/* Selected Sequence */}
+        {highlightedSequence && (
+          <div className="mt-3">
+            <div className="text-text-secondary text-xs mb-2">Selected Sequence</div>
             <div className="flex items-center space-x-2">
-              <div className="w-3 h-3 rounded-full border border-yellow-500 bg-yellow-500/10"></div>
-              <span className="text-text-secondary">Moderate Risk</span>
+              <div className="w-4 h-4 rounded-full border-2" style={{ borderColor: SEQUENCE_COLOR }}></div>
+              <span className="text-text-secondary">
+                {highlightedSequence.aftershocks.length} aftershocks of {formatMagnitude(highlightedSequence.mainshock.magnitude)}
+              </span>
             </div>
           </div>
-        </div>
+        )}
+        
+        {/* Watch Zones */}
+        {watchZones.length > 0 && (
+          <div className="mt-3">
+            <div className="text-text-secondary text-xs mb-2">Watch Zones</div>
+            <div className="space-y-1">
+              <div className="flex items-center space-x-2">
+                <div className="w-4 h-3 border border-dashed" style={{ borderColor: WATCH_ZONE_COLOR }}></div>
+                <span className="text-text-secondary">Quiet</span>
+              </div>
+              <div className="flex items-center space-x-2">
+                <div className="w-4 h-3 border border-dashed" style={{ borderColor: WATCH_ZONE_ALERT_COLOR }}></div>
+                <span className="text-text-secondary">Event above zone threshold</span>
+              </div>
+            </div>
+          </div>
+        )}
+        
+        {/* Model Coverage */}
+        {showCoverage && (
+          <div className="mt-3">
+            <div className="text-text-secondary text-xs mb-2">Regional Model Quality</div>
+            <div className="space-y-1">
+              {['high', 'medium', 'low'].map((quality) => (
+                <div key={quality} className="flex items-center space-x-2">
+                  <div
+                    className="w-4 h-3 border"
+                    style={{
+                      borderColor: getQualityColor(quality),
+                      backgroundColor: `${getQualityColor(quality)}40`,
+                    }}
+                  ></div>
+                  <span className="text-text-secondary capitalize">{quality}</span>
+                </div>
+              ))}
+              <div className="text-text-secondary pt-1">
+                Uncovered areas use the global fallback model
+              </div>
+            </div>
+          </div>
+        )}
         
         <div className="mt-3 pt-3 border-t border-white/10 text-text-secondary text-xs">
-          Zone sizes based on earthquake magnitude and historical aftershock patterns
+          Density spread over the rupture length (Wells &amp; Coppersmith) and scaled from the mainshock
+          magnitude (Reasenberg–Jones); circular since the fault strike is unknown
         </div>
       </div>
     </div>
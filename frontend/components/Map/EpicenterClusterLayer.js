@@ -0,0 +1,192 @@
+import { useEffect, useMemo, useState } from 'react';
+import { CircleMarker, Marker, Popup, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import Supercluster from 'supercluster';
+import {
+  formatMagnitude,
+  formatDepth,
+  formatTimeAgo,
+  getMagnitudeColor,
+  getDepthColor,
+  truncatePlace,
+} from '@/utils/formatters';
+import { wrapLongitude } from '@/utils/geo';
+import { getPlaybackStyle } from '@/utils/playback';
+
+// Clusters stop merging past this zoom so individual events stay clickable
+const CLUSTER_MAX_ZOOM = 8;
+const CLUSTER_RADIUS = 60;
+
+// Identity of the clustered events, so the index is rebuilt only when the
+// events or their USGS revisions change rather than on every new array
+const catalogKey = (earthquakes) => earthquakes.map((eq) => `${eq.id}@${eq.updated ?? ''}`).join(',');
+
+// Current viewport as a Supercluster bbox. Longitudes are left unclamped:
+// Supercluster wraps them itself and splits views across the antimeridian.
+function getViewportBBox(map) {
+  const bounds = map.getBounds();
+  return [
+    bounds.getWest(),
+    Math.max(-85, bounds.getSouth()),
+    bounds.getEast(),
+    Math.min(85, bounds.getNorth()),
+  ];
+}
+
+// Longitude moved onto the world copy nearest the view center, since the
+// index only returns canonical coordinates
+const toViewLongitude = (lon, centerLng) => centerLng + wrapLongitude(lon - centerLng);
+
+// Cluster icon sized by event count and colored by the largest magnitude inside
+function createClusterIcon(count, maxMagnitude) {
+  const size = count < 10 ? 32 : count < 100 ? 40 : 48;
+  const color = getMagnitudeColor(maxMagnitude);
+
+  return L.divIcon({
+    className: 'custom-cluster-marker',
+    html: `
+      <div style="
+        width: ${size}px;
+        height: ${size}px;
+        border-radius: 50%;
+        background-color: ${color}cc;
+        border: 3px solid rgba(255, 255, 255, 0.85);
+        box-shadow: 0 0 8px rgba(0,0,0,0.45);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        color: #0a0e27;
+        font-weight: 700;
+        font-size: 12px;
+      ">${count}</div>
+    `,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+}
+
+// Epicenters drawn on the canvas renderer and clustered per zoom level.
+// The selected event is skipped here; the map draws it with a richer marker.
+// During playback, markers fade in at their time and age out in color.
+export default function EpicenterClusterLayer({
+  earthquakes,
+  selectedEarthquake,
+  onClick,
+  playback = null,
+  colorBy = 'magnitude',
+}) {
+  const map = useMap();
+  const [clusters, setClusters] = useState([]);
+  const indexKey = catalogKey(earthquakes);
+
+  const index = useMemo(() => {
+    const cluster = new Supercluster({
+      radius: CLUSTER_RADIUS,
+      maxZoom: CLUSTER_MAX_ZOOM,
+      map: (props) => ({ maxMagnitude: props.magnitude }),
+      reduce: (accumulated, props) => {
+        accumulated.maxMagnitude = Math.max(accumulated.maxMagnitude, props.maxMagnitude);
+      },
+    });
+
+    cluster.load(
+      earthquakes.map((eq, idx) => ({
+        type: 'Feature',
+        properties: { index: idx, magnitude: eq.magnitude },
+        geometry: { type: 'Point', coordinates: [eq.longitude, eq.latitude] },
+      }))
+    );
+
+    return cluster;
+  }, [indexKey]);
+
+  const updateClusters = () => {
+    setClusters(index.getClusters(getViewportBBox(map), Math.round(map.getZoom())));
+  };
+
+  useEffect(() => {
+    updateClusters();
+  }, [index]);
+
+  useMapEvents({
+    moveend: updateClusters,
+  });
+
+  const centerLng = map.getCenter().lng;
+
+  return (
+    <>
+      {clusters.map((feature) => {
+        const [featureLon, lat] = feature.geometry.coordinates;
+        const lon = toViewLongitude(featureLon, centerLng);
+
+        if (feature.properties.cluster) {
+          const clusterId = feature.properties.cluster_id;
+
+          return (
+            <Marker
+              key={`cluster-${clusterId}`}
+              position={[lat, lon]}
+              icon={createClusterIcon(
+                feature.properties.point_count,
+                feature.properties.maxMagnitude
+              )}
+              eventHandlers={{
+                click: () => {
+                  const expansionZoom = Math.min(
+                    index.getClusterExpansionZoom(clusterId),
+                    CLUSTER_MAX_ZOOM + 1
+                  );
+                  map.flyTo([lat, lon], expansionZoom);
+                },
+              }}
+            />
+          );
+        }
+
+        // Clusters come from the previous index until the effect above runs
+        const eq = earthquakes[feature.properties.index];
+        if (!eq || (selectedEarthquake && selectedEarthquake.id === eq.id)) return null;
+
+        const color = getMagnitudeColor(eq.magnitude);
+        const fillColor = colorBy === 'depth' ? getDepthColor(eq.depth) : color;
+        const style = playback
+          ? getPlaybackStyle(eq, fillColor, playback.playhead, playback.span)
+          : { color: fillColor, opacity: 1 };
+
+        return (
+          <CircleMarker
+            key={`point-${eq.id}`}
+            center={[eq.latitude, lon]}
+            radius={Math.max(4, Math.min(12, eq.magnitude * 1.5))}
+            pathOptions={{
+              color: '#ffffff',
+              weight: 1.5,
+              opacity: style.opacity,
+              fillColor: style.color,
+              fillOpacity: 0.9 * style.opacity,
+            }}
+            eventHandlers={{ click: (e) => onClick(eq, e.originalEvent) }}
+          >
+            <Popup>
+              <div className="text-sm space-y-1">
+                <div className="font-bold text-lg" style={{ color }}>
+                  {formatMagnitude(eq.magnitude)}
+                </div>
+                <div className="font-medium">
+                  {truncatePlace(eq.place, 30)}
+                </div>
+                <div className="text-xs text-gray-600">
+                  {formatTimeAgo(eq.time)} · {formatDepth(eq.depth)} deep
+                </div>
+                <div className="text-xs text-gray-500 mt-2 pt-2 border-t">
+                  Click for detailed forecast
+                </div>
+              </div>
+            </Popup>
+          </CircleMarker>
+        );
+      })}
+    </>
+  );
+}
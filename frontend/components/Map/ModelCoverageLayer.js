@@ -0,0 +1,68 @@
+import { useEffect, useState } from 'react';
+import { Rectangle, Popup } from 'react-leaflet';
+import { fetchModelCoverage } from '@/utils/api';
+import { getQualityColor, formatQuality } from '@/utils/formatters';
+
+// Draws the 5° grid cells that have a trained regional model.
+// Anything outside these rectangles is forecast with the global fallback.
+export default function ModelCoverageLayer() {
+  const [coverage, setCoverage] = useState([]);
+
+  useEffect(() => {
+    loadCoverage();
+  }, []);
+
+  const loadCoverage = async () => {
+    try {
+      const data = await fetchModelCoverage();
+      setCoverage(data.coverage || []);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  return (
+    <>
+      {coverage.map((model) => {
+        const color = getQualityColor(model.quality);
+        const bounds = [
+          [model.bounds.lat[0], model.bounds.lon[0]],
+          [model.bounds.lat[1], model.bounds.lon[1]],
+        ];
+
+        return (
+          <Rectangle
+            key={`coverage-${model.region_id}`}
+            bounds={bounds}
+            pathOptions={{
+              color,
+              weight: 1,
+              opacity: 0.6,
+              fillColor: color,
+              fillOpacity: 0.15,
+            }}
+          >
+            <Popup>
+              <div className="text-sm space-y-1">
+                <div className="font-bold font-mono">{model.region_id}</div>
+                <div className="text-xs">
+                  Quality:{' '}
+                  <span className="font-medium" style={{ color }}>
+                    {formatQuality(model.quality)}
+                  </span>
+                </div>
+                <div className="text-xs">Sequences: {model.sequences}</div>
+                <div className="text-xs">
+                  Omori R² = {(model.omori_r_squared ?? 0).toFixed(3)}
+                </div>
+                <div className="text-xs">
+                  G-R R² = {(model.gr_r_squared ?? 0).toFixed(3)}
+                </div>
+              </div>
+            </Popup>
+          </Rectangle>
+        );
+      })}
+    </>
+  );
+}
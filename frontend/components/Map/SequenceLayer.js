@@ -0,0 +1,42 @@
+import { CircleMarker, Polyline, Tooltip } from 'react-leaflet';
+import { formatMagnitude, formatTimeAgo, getMagnitudeColor, getDepthColor } from '@/utils/formatters';
+
+export const SEQUENCE_COLOR = '#22d3ee';
+
+// Members of the selected sequence, drawn unclustered with a shared outline
+// and tie lines back to the mainshock
+export default function SequenceLayer({ mainshock, members, onClick, colorBy = 'magnitude' }) {
+  const mainshockPosition = [mainshock.latitude, mainshock.longitude];
+
+  return (
+    <>
+      {members.map((eq) => (
+        <Polyline
+          key={`tie-${eq.id}`}
+          positions={[mainshockPosition, [eq.latitude, eq.longitude]]}
+          pathOptions={{ color: SEQUENCE_COLOR, weight: 1, opacity: 0.35 }}
+          interactive={false}
+        />
+      ))}
+
+      {members.map((eq) => (
+        <CircleMarker
+          key={`member-${eq.id}`}
+          center={[eq.latitude, eq.longitude]}
+          radius={Math.max(4, Math.min(12, eq.magnitude * 1.5))}
+          pathOptions={{
+            color: SEQUENCE_COLOR,
+            weight: 2.5,
+            fillColor: colorBy === 'depth' ? getDepthColor(eq.depth) : getMagnitudeColor(eq.magnitude),
+            fillOpacity: 0.9,
+          }}
+          eventHandlers={{ click: (e) => onClick(eq, e.originalEvent) }}
+        >
+          <Tooltip>
+            {formatMagnitude(eq.magnitude)} aftershock · {formatTimeAgo(eq.time)}
+          </Tooltip>
+        </CircleMarker>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,89 @@
+import { useEffect, useState } from 'react';
+import { GeoJSON } from 'react-leaflet';
+
+// Plate boundary colors by boundary type
+export const BOUNDARY_COLORS = {
+  subduction: '#ef4444',
+  collision: '#f97316',
+  ridge: '#22d3ee',
+  transform: '#facc15',
+};
+
+// Fault colors by dominant slip type
+export const FAULT_COLORS = {
+  'strike-slip': '#c084fc',
+  normal: '#34d399',
+  reverse: '#fb7185',
+};
+
+const getFaultColor = (slipType) => {
+  const slip = slipType.toLowerCase();
+  if (slip.startsWith('reverse')) return FAULT_COLORS.reverse;
+  if (slip.startsWith('normal')) return FAULT_COLORS.normal;
+  return FAULT_COLORS['strike-slip'];
+};
+
+const popupHtml = (title, rows) => `
+  <div class="text-sm">
+    <div class="font-bold">${title}</div>
+    ${rows.map((row) => `<div class="text-xs mt-1">${row}</div>`).join('')}
+  </div>
+`;
+
+// Local plate boundary and active fault datasets, loaded on first use
+export default function TectonicOverlays({ showPlates, showFaults }) {
+  const [plates, setPlates] = useState(null);
+  const [faults, setFaults] = useState(null);
+
+  useEffect(() => {
+    if (showPlates && !plates) {
+      import('@/data/plate-boundaries.json').then((data) => setPlates(data.default));
+    }
+  }, [showPlates]);
+
+  useEffect(() => {
+    if (showFaults && !faults) {
+      import('@/data/active-faults.json').then((data) => setFaults(data.default));
+    }
+  }, [showFaults]);
+
+  return (
+    <>
+      {showPlates && plates && (
+        <GeoJSON
+          data={plates}
+          style={(feature) => ({
+            color: BOUNDARY_COLORS[feature.properties.type] || '#ffffff',
+            weight: 2.5,
+            opacity: 0.85,
+          })}
+          onEachFeature={(feature, layer) => {
+            layer.bindPopup(
+              popupHtml(feature.properties.name, [
+                `Boundary: <span class="capitalize">${feature.properties.type}</span>`,
+                `Plates: ${feature.properties.plates}`,
+              ])
+            );
+          }}
+        />
+      )}
+
+      {showFaults && faults && (
+        <GeoJSON
+          data={faults}
+          style={(feature) => ({
+            color: getFaultColor(feature.properties.slip_type),
+            weight: 2,
+            opacity: 0.9,
+            dashArray: '6 3',
+          })}
+          onEachFeature={(feature, layer) => {
+            layer.bindPopup(
+              popupHtml(feature.properties.name, [`Slip type: ${feature.properties.slip_type}`])
+            );
+          }}
+        />
+      )}
+    </>
+  );
+}
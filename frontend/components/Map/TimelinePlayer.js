@@ -0,0 +1,116 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Play, Pause, Square } from 'lucide-react';
+import { formatFullDate } from '@/utils/formatters';
+import { getTimeRange } from '@/utils/playback';
+
+// At 1x the whole loaded catalog plays back in this many milliseconds
+const BASE_DURATION_MS = 60000;
+const TICK_MS = 100;
+
+const speeds = [0.5, 1, 2, 5, 10];
+
+// Scrubber that animates the catalog in chronological order.
+// A null playhead means playback is off and every event is shown.
+export default function TimelinePlayer({ earthquakes, playhead, onPlayheadChange }) {
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const playheadRef = useRef(playhead);
+  playheadRef.current = playhead;
+
+  const [start, end] = useMemo(() => getTimeRange(earthquakes), [earthquakes]);
+  const span = end - start;
+
+  useEffect(() => {
+    if (!playing) return;
+
+    const step = (span / BASE_DURATION_MS) * TICK_MS * speed;
+    const timer = setInterval(() => {
+      const current = playheadRef.current ?? start;
+      const next = Math.min(end, current + step);
+      onPlayheadChange(next);
+      if (next >= end) setPlaying(false);
+    }, TICK_MS);
+
+    return () => clearInterval(timer);
+  }, [playing, speed, start, end, span]);
+
+  // Stop when the catalog no longer spans the playhead, e.g. after switching
+  // to a shorter period. Refreshes that merge in new events keep playing.
+  useEffect(() => {
+    const current = playheadRef.current;
+    if (current === null) return;
+    if (start === null || current < start || current > end) {
+      setPlaying(false);
+      onPlayheadChange(null);
+    }
+  }, [start, end]);
+
+  if (start === null || span <= 0) return null;
+
+  const handlePlayPause = () => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    // Restart from the beginning when playback is off or already finished
+    if (playhead === null || playhead >= end) {
+      onPlayheadChange(start);
+    }
+    setPlaying(true);
+  };
+
+  const handleStop = () => {
+    setPlaying(false);
+    onPlayheadChange(null);
+  };
+
+  const position = playhead ?? end;
+
+  return (
+    <div className="bg-bg-card border-t border-white/10 px-4 py-3 flex items-center space-x-3 text-sm">
+      <button
+        onClick={handlePlayPause}
+        className="p-2 bg-orange-500 hover:bg-orange-600 text-white rounded-lg transition-colors"
+        title={playing ? 'Pause' : 'Play'}
+      >
+        {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+      </button>
+
+      <button
+        onClick={handleStop}
+        disabled={playhead === null}
+        className="p-2 bg-bg-dark border border-white/10 hover:bg-white/10 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg transition-colors"
+        title="Stop and show all events"
+      >
+        <Square className="w-4 h-4" />
+      </button>
+
+      <input
+        type="range"
+        min={start}
+        max={end}
+        step={Math.max(1, Math.round(span / 1000))}
+        value={position}
+        onChange={(e) => onPlayheadChange(Number(e.target.value))}
+        className="flex-1 accent-orange-500 cursor-pointer"
+      />
+
+      <div className="w-48 text-xs text-text-secondary text-right hidden sm:block">
+        {playhead === null ? 'All events' : formatFullDate(new Date(playhead))}
+      </div>
+
+      <select
+        value={speed}
+        onChange={(e) => setSpeed(Number(e.target.value))}
+        className="bg-bg-dark border border-white/10 rounded-lg px-2 py-1 text-xs text-white focus:outline-none focus:ring-2 focus:ring-orange-500 cursor-pointer"
+        title="Playback speed"
+      >
+        {speeds.map((value) => (
+          <option key={value} value={value}>
+            {value}x
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
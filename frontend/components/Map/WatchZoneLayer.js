@@ -0,0 +1,50 @@
+import { Circle, Polygon, Tooltip } from 'react-leaflet';
+import { WATCH_ZONE_COLOR, WATCH_ZONE_ALERT_COLOR } from '@/utils/watchZones';
+
+// Saved watch zones; zones with triggering events are drawn in the alert color
+export default function WatchZoneLayer({ zones, alertCounts }) {
+  return (
+    <>
+      {zones.map((zone) => {
+        const alertCount = alertCounts.get(zone.id) || 0;
+        const color = alertCount > 0 ? WATCH_ZONE_ALERT_COLOR : WATCH_ZONE_COLOR;
+        const pathOptions = {
+          color,
+          weight: 2,
+          dashArray: '2 6',
+          fillColor: color,
+          fillOpacity: alertCount > 0 ? 0.12 : 0.05,
+        };
+
+        const tooltip = (
+          <Tooltip sticky>
+            <div className="text-xs">
+              <div className="font-bold">{zone.name}</div>
+              <div>Alerts at M{zone.minMagnitude.toFixed(1)}+</div>
+              {alertCount > 0 && (
+                <div className="font-semibold text-red-600">
+                  {alertCount} triggering event{alertCount === 1 ? '' : 's'}
+                </div>
+              )}
+            </div>
+          </Tooltip>
+        );
+
+        return zone.type === 'circle' ? (
+          <Circle
+            key={zone.id}
+            center={zone.center}
+            radius={zone.radiusKm * 1000}
+            pathOptions={pathOptions}
+          >
+            {tooltip}
+          </Circle>
+        ) : (
+          <Polygon key={zone.id} positions={zone.latlngs} pathOptions={pathOptions}>
+            {tooltip}
+          </Polygon>
+        );
+      })}
+    </>
+  );
+}
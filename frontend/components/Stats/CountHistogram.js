@@ -0,0 +1,90 @@
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+} from 'chart.js';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip
+);
+
+// Plain event-count histogram; horizontal bars suit ordered categories such
+// as depth, where the first bin reads best at the top
+export default function CountHistogram({
+  labels,
+  counts,
+  color = 'rgba(249, 115, 22, 0.8)',
+  horizontal = false,
+  xTitle,
+  yTitle,
+}) {
+  const data = {
+    labels,
+    datasets: [
+      {
+        label: 'Events',
+        data: counts,
+        backgroundColor: color,
+        borderRadius: 2,
+      },
+    ],
+  };
+
+  const axis = (title) => ({
+    ticks: {
+      color: '#9aa0a6',
+      autoSkip: true,
+      maxTicksLimit: 16,
+    },
+    grid: {
+      color: 'rgba(255, 255, 255, 0.05)',
+    },
+    title: {
+      display: !!title,
+      text: title,
+      color: '#9aa0a6',
+    },
+  });
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    indexAxis: horizontal ? 'y' : 'x',
+    plugins: {
+      legend: {
+        display: false,
+      },
+      tooltip: {
+        backgroundColor: 'rgba(26, 31, 58, 0.95)',
+        titleColor: '#e8eaed',
+        bodyColor: '#e8eaed',
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+        borderWidth: 1,
+        padding: 12,
+        displayColors: false,
+        callbacks: {
+          label: (context) => {
+            const count = horizontal ? context.parsed.x : context.parsed.y;
+            return `${count} event${count === 1 ? '' : 's'}`;
+          },
+        },
+      },
+    },
+    scales: {
+      x: { ...axis(xTitle), beginAtZero: true },
+      y: { ...axis(yTitle), beginAtZero: true },
+    },
+  };
+
+  return (
+    <div className="h-64">
+      <Bar data={data} options={options} />
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import { Chart } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LogarithmicScale,
+  BarElement,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+
+ChartJS.register(
+  CategoryScale,
+  LogarithmicScale,
+  BarElement,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+);
+
+// Frequency-magnitude distribution on a log axis: incremental counts as bars,
+// cumulative N(>= M) as points and the fitted Gutenberg-Richter line above Mc
+export default function MagnitudeFrequencyChart({ bins, fit }) {
+  const data = {
+    labels: bins.map((bin) => bin.magnitude.toFixed(1)),
+    datasets: [
+      {
+        type: 'line',
+        label: 'Cumulative N(≥M)',
+        data: bins.map((bin) => bin.cumulative || null),
+        borderColor: 'rgb(249, 115, 22)',
+        backgroundColor: 'rgb(249, 115, 22)',
+        showLine: false,
+        pointRadius: 3,
+        pointHoverRadius: 5,
+        order: 1,
+      },
+      ...(fit
+        ? [
+            {
+              type: 'line',
+              label: `G-R fit (b = ${fit.b.toFixed(2)})`,
+              data: bins.map((bin) =>
+                bin.magnitude >= fit.mc - 1e-9 ? Math.pow(10, fit.a - fit.b * bin.magnitude) : null
+              ),
+              borderColor: '#22d3ee',
+              borderDash: [6, 4],
+              borderWidth: 2,
+              pointRadius: 0,
+              spanGaps: false,
+              order: 0,
+            },
+          ]
+        : []),
+      {
+        type: 'bar',
+        label: 'Events per bin',
+        data: bins.map((bin) => bin.count || null),
+        backgroundColor: 'rgba(154, 160, 166, 0.4)',
+        borderRadius: 2,
+        order: 2,
+      },
+    ],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: {
+      mode: 'index',
+      intersect: false,
+    },
+    plugins: {
+      legend: {
+        labels: {
+          color: '#9aa0a6',
+          boxWidth: 12,
+        },
+      },
+      tooltip: {
+        backgroundColor: 'rgba(26, 31, 58, 0.95)',
+        titleColor: '#e8eaed',
+        bodyColor: '#e8eaed',
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+        borderWidth: 1,
+        padding: 12,
+        callbacks: {
+          title: (items) => `M${items[0].label}`,
+          label: (context) => {
+            const value = context.parsed.y;
+            return `${context.dataset.label}: ${value >= 10 ? Math.round(value) : value.toFixed(1)}`;
+          },
+        },
+      },
+    },
+    scales: {
+      y: {
+        type: 'logarithmic',
+        min: 0.5,
+        ticks: {
+          color: '#9aa0a6',
+          callback: (value) => {
+            const exponent = Math.log10(value);
+            return Number.isInteger(exponent) ? value.toLocaleString() : null;
+          },
+        },
+        grid: {
+          color: 'rgba(255, 255, 255, 0.05)',
+        },
+        title: {
+          display: true,
+          text: 'Number of events',
+          color: '#9aa0a6',
+        },
+      },
+      x: {
+        ticks: {
+          color: '#9aa0a6',
+          autoSkip: true,
+          maxTicksLimit: 12,
+        },
+        grid: {
+          color: 'rgba(255, 255, 255, 0.05)',
+        },
+        title: {
+          display: true,
+          text: 'Magnitude',
+          color: '#9aa0a6',
+        },
+      },
+    },
+  };
+
+  return (
+    <div className="h-80">
+      <Chart type="bar" data={data} options={options} />
+    </div>
+  );
+}
@@ -1,22 +1,50 @@
+import { useEffect, useState } from 'react';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
-import { Activity, Map, BookOpen, Code } from 'lucide-react';
+import { Activity, Map, BarChart3, BookOpen, Code } from 'lucide-react';
+import { CUSTOM_TIME_FILTER, getDefaultDateRange, isValidDateRange, todayIsoDate } from '@/utils/catalog';
 
-export default function Header({ timeFilter, setTimeFilter, onLocationClick }) {
+export const timeFilters = [
+  { label: 'Last Week', value: 7 },
+  { label: 'Last Month', value: 30 },
+  { label: 'Last Year', value: 365 },
+];
+
+const dateInputClass =
+  'bg-bg-dark border border-white/10 rounded-lg px-2 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-orange-500 [color-scheme:dark]';
+
+export default function Header({ timeFilter, setTimeFilter, dateRange, setDateRange, onLocationClick }) {
   const router = useRouter();
   
+  // Edited dates are only committed once they form a valid range
+  const [draftRange, setDraftRange] = useState(dateRange);
+  
+  useEffect(() => {
+    setDraftRange(dateRange);
+  }, [dateRange]);
+  
+  const handleTimeFilterChange = (value) => {
+    if (value === CUSTOM_TIME_FILTER) {
+      if (!isValidDateRange(dateRange)) setDateRange(getDefaultDateRange());
+      setTimeFilter(CUSTOM_TIME_FILTER);
+    } else {
+      setTimeFilter(Number(value));
+    }
+  };
+  
+  const handleDateChange = (key, value) => {
+    const next = { ...draftRange, [key]: value };
+    setDraftRange(next);
+    if (isValidDateRange(next)) setDateRange(next);
+  };
+  
   const navItems = [
     { href: '/', label: 'Live Monitor', icon: Activity },
     { href: '/models', label: 'Models', icon: Map },
+    { href: '/stats', label: 'Statistics', icon: BarChart3 },
     { href: '/about', label: 'About', icon: BookOpen },
   ];
   
-  const timeFilters = [
-    { label: 'Last Week', value: 7 },
-    { label: 'Last Month', value: 30 },
-    { label: 'Last Year', value: 365 },
-  ];
-  
   return (
     <header className="sticky top-0 z-50 bg-bg-card border-b border-white/10 backdrop-blur-lg">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -59,7 +87,7 @@ export default function Header({ timeFilter, setTimeFilter, onLocationClick }) {
             <div className="flex items-center space-x-2">
               <select
                 value={timeFilter}
-                onChange={(e) => setTimeFilter(Number(e.target.value))}
+                onChange={(e) => handleTimeFilterChange(e.target.value)}
                 className="bg-bg-dark border border-white/10 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-orange-500 cursor-pointer"
               >
                 {timeFilters.map((filter) => (
@@ -67,8 +95,32 @@ export default function Header({ timeFilter, setTimeFilter, onLocationClick }) {
                     {filter.label}
                   </option>
                 ))}
+                <option value={CUSTOM_TIME_FILTER}>Custom Range</option>
               </select>
               
+              {timeFilter === CUSTOM_TIME_FILTER && draftRange && (
+                <div className="flex items-center space-x-1">
+                  <input
+                    type="date"
+                    value={draftRange.start}
+                    max={draftRange.end || todayIsoDate()}
+                    onChange={(e) => handleDateChange('start', e.target.value)}
+                    className={dateInputClass}
+                    title="Start date (UTC)"
+                  />
+                  <span className="text-text-secondary text-sm">–</span>
+                  <input
+                    type="date"
+                    value={draftRange.end}
+                    min={draftRange.start}
+                    max={todayIsoDate()}
+                    onChange={(e) => handleDateChange('end', e.target.value)}
+                    className={dateInputClass}
+                    title="End date (UTC)"
+                  />
+                </div>
+              )}
+              
               <button
                 onClick={onLocationClick}
                 className="flex items-center space-x-2 px-3 py-2 bg-orange-500 hover:bg-orange-600 text-white rounded-lg transition-colors text-sm font-medium"
@@ -0,0 +1,75 @@
+import { format } from 'date-fns';
+import { RefreshCw, Bell, BellOff } from 'lucide-react';
+import { REFRESH_INTERVALS, NOTIFY_THRESHOLDS } from '@/utils/liveUpdates';
+
+const selectClass =
+  'bg-bg-dark border border-white/10 rounded-lg px-2 py-1 text-xs text-white focus:outline-none focus:ring-2 focus:ring-orange-500 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Auto-refresh interval and new-event notification threshold
+export default function LiveControls({
+  settings,
+  onSettingsChange,
+  lastUpdated,
+  refreshing,
+  paused,
+  onRefresh,
+}) {
+  const isLive = settings.refreshMinutes > 0 && !paused;
+
+  return (
+    <div className="px-4 py-2 border-b border-white/10 flex items-center justify-between text-xs text-text-secondary">
+      <div className="flex items-center space-x-2">
+        <span
+          className={`w-2 h-2 rounded-full ${isLive ? 'bg-green-500 animate-pulse' : 'bg-gray-500'}`}
+          title={paused ? 'Auto-refresh is paused for custom date ranges' : undefined}
+        ></span>
+        <select
+          value={settings.refreshMinutes}
+          onChange={(e) => onSettingsChange({ ...settings, refreshMinutes: Number(e.target.value) })}
+          disabled={paused}
+          className={selectClass}
+          title="Auto-refresh interval"
+        >
+          {REFRESH_INTERVALS.map((interval) => (
+            <option key={interval.value} value={interval.value}>
+              {interval.value ? `Every ${interval.label}` : 'Auto-refresh off'}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={onRefresh}
+          disabled={refreshing}
+          className="p-1 hover:text-white transition-colors disabled:opacity-50"
+          title={lastUpdated ? `Updated ${format(lastUpdated, 'HH:mm:ss')} - refresh now` : 'Refresh now'}
+        >
+          <RefreshCw className={`w-3.5 h-3.5 ${refreshing ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      <div className="flex items-center space-x-1">
+        {settings.notifyMagnitude === null ? (
+          <BellOff className="w-3.5 h-3.5" />
+        ) : (
+          <Bell className="w-3.5 h-3.5 text-orange-500" />
+        )}
+        <select
+          value={settings.notifyMagnitude ?? ''}
+          onChange={(e) =>
+            onSettingsChange({
+              ...settings,
+              notifyMagnitude: e.target.value === '' ? null : Number(e.target.value),
+            })
+          }
+          className={selectClass}
+          title="Notify me about new events at or above this magnitude"
+        >
+          {NOTIFY_THRESHOLDS.map((threshold) => (
+            <option key={threshold ?? 'off'} value={threshold ?? ''}>
+              {threshold === null ? 'No alerts' : `Alert M${threshold.toFixed(1)}+`}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+// Segmented control for a small set of exclusive options ({ value, label })
+export default function ToggleGroup({ options, value, onChange }) {
+  return (
+    <div className="flex rounded-lg border border-white/10 overflow-hidden text-xs">
+      {options.map((option) => (
+        <button
+          key={option.value}
+          onClick={() => onChange(option.value)}
+          className={`px-2.5 py-1 transition-colors ${
+            value === option.value ? 'bg-orange-500/20 text-white' : 'text-text-secondary hover:text-white'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
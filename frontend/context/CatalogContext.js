@@ -0,0 +1,18 @@
+import { createContext, useContext, useState } from 'react';
+
+// The catalog most recently loaded by the live monitor, shared with other
+// pages (e.g. /stats) so they describe exactly what the user was looking at.
+// Shape: { earthquakes, description, loadedAt } or null before the first load.
+const CatalogContext = createContext({ catalog: null, setCatalog: () => {} });
+
+export function CatalogProvider({ children }) {
+  const [catalog, setCatalog] = useState(null);
+
+  return (
+    <CatalogContext.Provider value={{ catalog, setCatalog }}>
+      {children}
+    </CatalogContext.Provider>
+  );
+}
+
+export const useCatalog = () => useContext(CatalogContext);
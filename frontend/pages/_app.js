@@ -1,9 +1,10 @@
 import '@/styles/globals.css';
 import Head from 'next/head';
+import { CatalogProvider } from '@/context/CatalogContext';
 
 export default function App({ Component, pageProps }) {
   return (
-    <>
+    <CatalogProvider>
       <Head>
         <title>Aftershock Monitor - Earthquake Prediction System</title>
         <meta name="description" content="Real-time earthquake aftershock probability monitoring and prediction" />
@@ -11,6 +12,6 @@ export default function App({ Component, pageProps }) {
         <link rel="icon" href="/favicon.ico" />
       </Head>
       <Component {...pageProps} />
-    </>
+    </CatalogProvider>
   );
 }
\ No newline at end of file
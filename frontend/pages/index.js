@@ -1,10 +1,43 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import dynamic from 'next/dynamic';
-import Header from '@/components/UI/Header';
+import { useRouter } from 'next/router';
+import Header, { timeFilters } from '@/components/UI/Header';
 import EarthquakeList from '@/components/Earthquake/EarthquakeList';
 import DetailPanel from '@/components/Earthquake/DetailPanel';
+import RegionSummary from '@/components/Earthquake/RegionSummary';
+import ScenarioForm from '@/components/Earthquake/ScenarioForm';
+import ListToolbar from '@/components/Earthquake/ListToolbar';
+import WatchZoneForm from '@/components/Earthquake/WatchZoneForm';
+import WatchZonesPanel from '@/components/Earthquake/WatchZonesPanel';
+import ComparisonPanel, { MAX_COMPARED, COMPARISON_COLORS } from '@/components/Earthquake/ComparisonPanel';
+import CompareTray from '@/components/Earthquake/CompareTray';
+import LiveControls from '@/components/UI/LiveControls';
 import LoadingSpinner from '@/components/UI/LoadingSpinner';
-import { fetchRecentEarthquakes } from '@/utils/api';
+import TimelinePlayer from '@/components/Map/TimelinePlayer';
+import { fetchRecentEarthquakes, fetchEarthquakeById } from '@/utils/api';
+import { getTimeRange, buildTimeline, getEventsUpTo } from '@/utils/playback';
+import { filterEarthquakesInShape } from '@/utils/geo';
+import { parseUrlState, buildUrlQuery } from '@/utils/urlState';
+import {
+  MAX_EVENTS,
+  DEFAULT_RANGES,
+  CUSTOM_TIME_FILTER,
+  searchEarthquakes,
+  sortEarthquakes,
+  dateRangeToWindow,
+  describeCatalogQuery,
+} from '@/utils/catalog';
+import {
+  DEFAULT_LIVE_SETTINGS,
+  loadLiveSettings,
+  saveLiveSettings,
+  mergeEarthquakes,
+  notifyNewEarthquakes,
+  requestNotificationPermission,
+} from '@/utils/liveUpdates';
+import { declusterEarthquakes, sortSequences, getSequencesUpTo } from '@/utils/declustering';
+import { loadWatchZones, saveWatchZones, createWatchZone, getZoneAlerts } from '@/utils/watchZones';
+import { useCatalog } from '@/context/CatalogContext';
 import { AlertCircle } from 'lucide-react';
 
 // Dynamically import map component (only on client-side)
@@ -14,53 +47,355 @@ const EarthquakeMap = dynamic(
 );
 
 export default function Home() {
+  const router = useRouter();
+  const { setCatalog } = useCatalog();
   const [earthquakes, setEarthquakes] = useState([]);
   const [selectedEarthquake, setSelectedEarthquake] = useState(null);
   const [timeFilter, setTimeFilter] = useState(7);
+  const [dateRange, setDateRange] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [mapCenter, setMapCenter] = useState([20, 0]);
   const [mapZoom, setMapZoom] = useState(2);
   const [showSidebar, setShowSidebar] = useState(true);
+  const [playhead, setPlayhead] = useState(null);
+  const [selectionShape, setSelectionShape] = useState(null);
+  const [scenarioLocation, setScenarioLocation] = useState(null);
+  const [mapView, setMapView] = useState(null);
+  const [urlRestored, setUrlRestored] = useState(false);
+  const [ranges, setRanges] = useState(DEFAULT_RANGES);
+  const [search, setSearch] = useState('');
+  const [sortBy, setSortBy] = useState('magnitude');
+  const [groupSequences, setGroupSequences] = useState(true);
+  const [userLocation, setUserLocation] = useState(null);
+  const [liveSettings, setLiveSettings] = useState(DEFAULT_LIVE_SETTINGS);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [newEventIds, setNewEventIds] = useState(new Set());
+  const [watchZones, setWatchZones] = useState([]);
+  const [pendingZoneShape, setPendingZoneShape] = useState(null);
+  const [comparedEarthquakes, setComparedEarthquakes] = useState([]);
+  const [showComparison, setShowComparison] = useState(false);
   
+  // Deep-link state read once from the query string
+  const pendingEventId = useRef(null);
+  const keepRestoredView = useRef(false);
+  
+  // Latest catalog for background merges, and a counter that lets a full
+  // reload discard any refresh still in flight for the previous filters
+  const earthquakesRef = useRef([]);
+  const requestIdRef = useRef(0);
+  
+  const isCustomRange = timeFilter === CUSTOM_TIME_FILTER;
+  
+  // Events matching the place search and inside the drawn region (if any)
+  const regionEarthquakes = useMemo(
+    () => filterEarthquakesInShape(searchEarthquakes(earthquakes, search), selectionShape),
+    [earthquakes, search, selectionShape]
+  );
+  
+  // During time-lapse playback only events up to the playhead are shown
+  const timeline = useMemo(() => buildTimeline(regionEarthquakes), [regionEarthquakes]);
+  const visibleEarthquakes = useMemo(() => {
+    if (playhead === null) return regionEarthquakes;
+    return getEventsUpTo(timeline, playhead);
+  }, [regionEarthquakes, timeline, playhead]);
+  
+  const catalogSpan = useMemo(() => {
+    const [start, end] = getTimeRange(earthquakes);
+    return end - start;
+  }, [earthquakes]);
+  const playback = useMemo(
+    () => (playhead === null ? null : { playhead, span: catalogSpan }),
+    [catalogSpan, playhead]
+  );
+  
+  // Declustered over the whole region so playback only has to filter
+  const sequences = useMemo(
+    () => (groupSequences ? declusterEarthquakes(regionEarthquakes) : null),
+    [groupSequences, regionEarthquakes]
+  );
+  
+  const listSequences = useMemo(() => {
+    if (!sequences) return null;
+    const current = playhead === null ? sequences : getSequencesUpTo(sequences, playhead);
+    return sortSequences(current, sortBy, userLocation);
+  }, [sequences, playhead, sortBy, userLocation]);
+  
+  // Sequence of the selected event (mainshock or aftershock), if it has aftershocks
+  const selectedSequence = useMemo(() => {
+    if (!sequences || !selectedEarthquake) return null;
+    return (
+      sequences.find(
+        (sequence) =>
+          sequence.aftershocks.length > 0 &&
+          (sequence.id === selectedEarthquake.id ||
+            sequence.aftershocks.some((eq) => eq.id === selectedEarthquake.id))
+      ) || null
+    );
+  }, [sequences, selectedEarthquake]);
+  
+  // Loaded events inside a watch zone and above its threshold
+  const zoneAlerts = useMemo(() => getZoneAlerts(earthquakes, watchZones), [earthquakes, watchZones]);
+  
+  const zoneAlertCounts = useMemo(() => {
+    const counts = new Map();
+    zoneAlerts.forEach((zones) => {
+      zones.forEach((zone) => counts.set(zone.id, (counts.get(zone.id) || 0) + 1));
+    });
+    return counts;
+  }, [zoneAlerts]);
+  
+  const comparedColors = useMemo(
+    () => new Map(comparedEarthquakes.map((eq, idx) => [eq.id, COMPARISON_COLORS[idx]])),
+    [comparedEarthquakes]
+  );
+  
+  // A comparison needs at least two events
+  useEffect(() => {
+    if (comparedEarthquakes.length < 2) setShowComparison(false);
+  }, [comparedEarthquakes]);
+  
+  const listEarthquakes = useMemo(
+    () => sortEarthquakes(visibleEarthquakes, sortBy, userLocation),
+    [visibleEarthquakes, sortBy, userLocation]
+  );
+  
+  // Restore state from the URL before the first fetch
+  useEffect(() => {
+    if (!router.isReady || urlRestored) return;
+    
+    const state = parseUrlState(router.query, timeFilters.map((filter) => filter.value));
+    if (state.dateRange) {
+      setDateRange(state.dateRange);
+      setTimeFilter(CUSTOM_TIME_FILTER);
+    } else if (state.days) {
+      setTimeFilter(state.days);
+    }
+    if (state.center) {
+      setMapCenter(state.center);
+      keepRestoredView.current = true;
+    }
+    if (state.zoom !== null) setMapZoom(state.zoom);
+    pendingEventId.current = state.eventId;
+    
+    setUrlRestored(true);
+  }, [router.isReady]);
+  
+  useEffect(() => {
+    if (urlRestored) loadEarthquakes();
+  }, [timeFilter, dateRange, ranges, urlRestored]);
+  
+  useEffect(() => {
+    earthquakesRef.current = earthquakes;
+  }, [earthquakes]);
+  
+  // Share the settled catalog with the statistics page
+  useEffect(() => {
+    if (loading || error) return;
+    setCatalog({
+      earthquakes,
+      description: describeCatalogQuery({ timeFilter, dateRange, ranges }),
+      loadedAt: lastUpdated,
+    });
+  }, [earthquakes, loading]);
+  
+  useEffect(() => {
+    setLiveSettings(loadLiveSettings());
+    setWatchZones(loadWatchZones());
+  }, []);
+  
+  // Background polling. Historical custom ranges do not change, and a new
+  // catalog would reset time-lapse playback, so neither is polled.
+  const isPlaying = playhead !== null;
   useEffect(() => {
-    loadEarthquakes();
-  }, [timeFilter]);
+    if (!urlRestored || loading || isCustomRange || isPlaying || !liveSettings.refreshMinutes) return;
+    
+    const timer = setInterval(refreshEarthquakes, liveSettings.refreshMinutes * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [urlRestored, loading, isPlaying, timeFilter, dateRange, ranges, liveSettings]);
+  
+  // Mirror the current state back into the query string
+  useEffect(() => {
+    if (!urlRestored) return;
+    
+    router.replace(
+      { pathname: router.pathname, query: buildUrlQuery({ selectedEarthquake, timeFilter, dateRange, view: mapView }) },
+      undefined,
+      { shallow: true, scroll: false }
+    );
+  }, [urlRestored, selectedEarthquake, timeFilter, dateRange, mapView]);
+  
+  // A custom date range replaces the relative "last N days" window
+  const fetchCatalog = () => {
+    return fetchRecentEarthquakes(
+      isCustomRange ? undefined : timeFilter,
+      ranges.minMagnitude,
+      MAX_EVENTS,
+      isCustomRange ? { ...ranges, ...dateRangeToWindow(dateRange) } : ranges
+    );
+  };
   
   const loadEarthquakes = async () => {
+    const requestId = ++requestIdRef.current;
     setLoading(true);
     setError(null);
     
     try {
-      const data = await fetchRecentEarthquakes(timeFilter, 4.0);
+      const data = await fetchCatalog();
+      if (requestId !== requestIdRef.current) return;
+      
       setEarthquakes(data.earthquakes || []);
+      setNewEventIds(new Set());
+      setLastUpdated(new Date());
       
-      // If earthquakes exist, center on the most recent one
-      if (data.earthquakes && data.earthquakes.length > 0) {
+      // If earthquakes exist, center on the most recent one (unless a link set the view)
+      if (keepRestoredView.current) {
+        keepRestoredView.current = false;
+      } else if (data.earthquakes && data.earthquakes.length > 0) {
         const latest = data.earthquakes[0];
         setMapCenter([latest.latitude, latest.longitude]);
         setMapZoom(5);
       }
+      
+      if (pendingEventId.current) {
+        await restoreLinkedEvent(pendingEventId.current, data.earthquakes || []);
+        pendingEventId.current = null;
+      }
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
       setError('Failed to load earthquakes. Please try again.');
       console.error(err);
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) setLoading(false);
+    }
+  };
+  
+  // Merge a fresh fetch into the catalog without touching the map view
+  const refreshEarthquakes = async () => {
+    if (loading) return;
+    
+    const requestId = requestIdRef.current;
+    setRefreshing(true);
+    
+    try {
+      const data = await fetchCatalog();
+      if (requestId !== requestIdRef.current) return;
+      
+      // The backend answers an upstream failure with an empty list
+      const incoming = data.earthquakes || [];
+      if (incoming.length === 0 && earthquakesRef.current.length > 0) return;
+      
+      const { earthquakes: merged, added, updated } = mergeEarthquakes(earthquakesRef.current, incoming);
+      setEarthquakes(merged);
+      setLastUpdated(new Date());
+      
+      if (added.length > 0) {
+        setNewEventIds((ids) => new Set([...ids, ...added.map((eq) => eq.id)]));
+        notifyNewEarthquakes(added, liveSettings.notifyMagnitude, handleEarthquakeClick);
+      }
+      
+      // Keep an open detail panel in step with revised solutions
+      setSelectedEarthquake((selected) => updated.find((eq) => eq.id === selected?.id) || selected);
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+  
+  const handleLiveSettingsChange = async (settings) => {
+    setLiveSettings(settings);
+    saveLiveSettings(settings);
+    
+    if (settings.notifyMagnitude !== null && !(await requestNotificationPermission())) {
+      alert('Browser notifications are blocked or unsupported. Allow them for this site to receive alerts.');
+    }
+  };
+  
+  // Select a deep-linked event, fetching it if it is outside the loaded window
+  const restoreLinkedEvent = async (eventId, loaded) => {
+    let earthquake = loaded.find((eq) => eq.id === eventId);
+    
+    if (!earthquake) {
+      try {
+        const data = await fetchEarthquakeById(eventId);
+        earthquake = data.earthquake;
+      } catch (err) {
+        console.error(err);
+        return;
+      }
+    }
+    
+    // A linked map view takes precedence over centering on the event
+    if (router.query.lat && router.query.lon) {
+      setSelectedEarthquake(earthquake);
+    } else {
+      handleEarthquakeClick(earthquake);
     }
   };
   
   const handleEarthquakeClick = (earthquake) => {
     setSelectedEarthquake(earthquake);
+    setNewEventIds((ids) => {
+      if (!ids.has(earthquake.id)) return ids;
+      const next = new Set(ids);
+      next.delete(earthquake.id);
+      return next;
+    });
     setMapCenter([earthquake.latitude, earthquake.longitude]);
     setMapZoom(7);
   };
   
-  const handleLocationClick = () => {
+  const updateWatchZones = (zones) => {
+    setWatchZones(zones);
+    saveWatchZones(zones);
+  };
+  
+  const handleZoneSave = (name, minMagnitude) => {
+    updateWatchZones([...watchZones, createWatchZone(pendingZoneShape, name, minMagnitude)]);
+    setPendingZoneShape(null);
+  };
+  
+  const handleZoneClick = (zone) => {
+    const points = zone.type === 'circle' ? [zone.center] : zone.latlngs;
+    const lat = points.reduce((sum, point) => sum + point[0], 0) / points.length;
+    const lon = points.reduce((sum, point) => sum + point[1], 0) / points.length;
+    setMapCenter([lat, lon]);
+    setMapZoom(7);
+  };
+  
+  const toggleCompared = (earthquake) => {
+    if (comparedEarthquakes.some((eq) => eq.id === earthquake.id)) {
+      setComparedEarthquakes(comparedEarthquakes.filter((eq) => eq.id !== earthquake.id));
+    } else if (comparedEarthquakes.length >= MAX_COMPARED) {
+      alert(`Up to ${MAX_COMPARED} events can be compared at once.`);
+    } else {
+      setComparedEarthquakes([...comparedEarthquakes, earthquake]);
+    }
+  };
+  
+  // Ctrl/Cmd-click picks events for comparison instead of opening them
+  const handleEventClick = (earthquake, event) => {
+    if (event?.ctrlKey || event?.metaKey) {
+      toggleCompared(earthquake);
+    } else {
+      handleEarthquakeClick(earthquake);
+    }
+  };
+  
+  const handleScenarioSubmit = (scenario) => {
+    setScenarioLocation(null);
+    handleEarthquakeClick(scenario);
+  };
+  
+  const locateUser = (onLocated) => {
     if (navigator.geolocation) {
       navigator.geolocation.getCurrentPosition(
         (position) => {
-          setMapCenter([position.coords.latitude, position.coords.longitude]);
-          setMapZoom(8);
+          const location = [position.coords.latitude, position.coords.longitude];
+          setUserLocation(location);
+          onLocated?.(location);
         },
         (error) => {
           console.error('Error getting location:', error);
@@ -72,11 +407,28 @@ export default function Home() {
     }
   };
   
+  const handleLocationClick = () => {
+    locateUser((location) => {
+      setMapCenter(location);
+      setMapZoom(8);
+    });
+  };
+  
+  // Distance sorting needs the user's position
+  const handleSortChange = (value) => {
+    setSortBy(value);
+    if (value === 'distance' && !userLocation) {
+      locateUser();
+    }
+  };
+  
   return (
     <div className="min-h-screen bg-bg-dark text-text-primary">
       <Header
         timeFilter={timeFilter}
         setTimeFilter={setTimeFilter}
+        dateRange={dateRange}
+        setDateRange={setDateRange}
         onLocationClick={handleLocationClick}
       />
       
@@ -85,61 +437,167 @@ export default function Home() {
         <div
           className={`${
             showSidebar ? 'w-full md:w-80 lg:w-96' : 'w-0'
-          } bg-bg-dark border-r border-white/10 transition-all duration-300 overflow-hidden md:block`}
+          } bg-bg-dark border-r border-white/10 transition-all duration-300 overflow-hidden flex flex-col`}
         >
-          {loading ? (
-            <LoadingSpinner message="Loading earthquakes..." />
-          ) : error ? (
-            <div className="h-full flex items-center justify-center p-6">
-              <div className="text-center space-y-4">
-                <AlertCircle className="w-12 h-12 mx-auto text-red-500" />
-                <p className="text-text-secondary">{error}</p>
-                <button
-                  onClick={loadEarthquakes}
-                  className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white rounded-lg transition-colors"
-                >
-                  Retry
-                </button>
+          <LiveControls
+            settings={liveSettings}
+            onSettingsChange={handleLiveSettingsChange}
+            lastUpdated={lastUpdated}
+            refreshing={refreshing || loading}
+            paused={isCustomRange}
+            onRefresh={refreshEarthquakes}
+          />
+          
+          {watchZones.length > 0 && (
+            <WatchZonesPanel
+              zones={watchZones}
+              alertCounts={zoneAlertCounts}
+              onZoneClick={handleZoneClick}
+              onDelete={(id) => updateWatchZones(watchZones.filter((zone) => zone.id !== id))}
+            />
+          )}
+          
+          <ListToolbar
+            search={search}
+            onSearchChange={setSearch}
+            sortBy={sortBy}
+            onSortChange={handleSortChange}
+            groupSequences={groupSequences}
+            onGroupSequencesChange={setGroupSequences}
+            ranges={ranges}
+            onRangesChange={setRanges}
+          />
+          
+          <div className="flex-1 min-h-0">
+            {loading ? (
+              <LoadingSpinner message="Loading earthquakes..." />
+            ) : error ? (
+              <div className="h-full flex items-center justify-center p-6">
+                <div className="text-center space-y-4">
+                  <AlertCircle className="w-12 h-12 mx-auto text-red-500" />
+                  <p className="text-text-secondary">{error}</p>
+                  <button
+                    onClick={loadEarthquakes}
+                    className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white rounded-lg transition-colors"
+                  >
+                    Retry
+                  </button>
+                </div>
               </div>
-            </div>
-          ) : (
-            <EarthquakeList
-              earthquakes={earthquakes}
-              selectedEarthquake={selectedEarthquake}
-              onEarthquakeClick={handleEarthquakeClick}
+            ) : (
+              <div className="h-full flex flex-col">
+                {selectionShape && (
+                  <RegionSummary
+                    earthquakes={regionEarthquakes}
+                    onClear={() => setSelectionShape(null)}
+                  />
+                )}
+                <div className="flex-1 min-h-0">
+                  <EarthquakeList
+                    earthquakes={listEarthquakes}
+                    sequences={listSequences}
+                    newEventIds={newEventIds}
+                    zoneAlerts={zoneAlerts}
+                    comparedColors={comparedColors}
+                    selectedEarthquake={selectedEarthquake}
+                    onEarthquakeClick={handleEventClick}
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+          
+          {comparedEarthquakes.length > 0 && (
+            <CompareTray
+              earthquakes={comparedEarthquakes}
+              onRemove={toggleCompared}
+              onClear={() => setComparedEarthquakes([])}
+              onCompare={() => setShowComparison(true)}
             />
           )}
         </div>
         
         {/* Main Map Area */}
-        <div className="flex-1 relative">
-          {loading ? (
-            <div className="h-full flex items-center justify-center bg-map-bg">
-              <LoadingSpinner message="Loading map..." />
-            </div>
-          ) : (
-            <EarthquakeMap
+        <div className="flex-1 flex flex-col min-w-0">
+          <div className="flex-1 relative">
+            {loading ? (
+              <div className="h-full flex items-center justify-center bg-map-bg">
+                <LoadingSpinner message="Loading map..." />
+              </div>
+            ) : (
+              <EarthquakeMap
+                earthquakes={visibleEarthquakes}
+                selectedEarthquake={selectedEarthquake}
+                onEarthquakeClick={handleEventClick}
+                center={mapCenter}
+                zoom={mapZoom}
+                playback={playback}
+                selectionShape={selectionShape}
+                onSelectionChange={setSelectionShape}
+                onScenarioRequest={setScenarioLocation}
+                onViewChange={setMapView}
+                watchZones={watchZones}
+                zoneAlertCounts={zoneAlertCounts}
+                onZoneDraw={setPendingZoneShape}
+                highlightedSequence={selectedSequence}
+                comparedEarthquakes={comparedEarthquakes}
+                comparisonColors={COMPARISON_COLORS}
+              />
+            )}
+            
+            {/* Toggle Sidebar Button (Mobile) */}
+            <button
+              onClick={() => setShowSidebar(!showSidebar)}
+              className="md:hidden absolute top-4 left-4 z-10 px-4 py-2 bg-bg-card border border-white/10 rounded-lg shadow-lg"
+            >
+              {showSidebar ? 'Hide' : 'Show'} List
+            </button>
+          </div>
+          
+          {/* Time-lapse Playback */}
+          {!loading && (
+            <TimelinePlayer
               earthquakes={earthquakes}
-              selectedEarthquake={selectedEarthquake}
-              onEarthquakeClick={handleEarthquakeClick}
-              center={mapCenter}
-              zoom={mapZoom}
+              playhead={playhead}
+              onPlayheadChange={setPlayhead}
             />
           )}
-          
-          {/* Toggle Sidebar Button (Mobile) */}
-          <button
-            onClick={() => setShowSidebar(!showSidebar)}
-            className="md:hidden absolute top-4 left-4 z-10 px-4 py-2 bg-bg-card border border-white/10 rounded-lg shadow-lg"
-          >
-            {showSidebar ? 'Hide' : 'Show'} List
-          </button>
         </div>
         
+        {/* Scenario Form */}
+        {scenarioLocation && (
+          <ScenarioForm
+            location={scenarioLocation}
+            onSubmit={handleScenarioSubmit}
+            onCancel={() => setScenarioLocation(null)}
+          />
+        )}
+        
+        {/* Watch Zone Form */}
+        {pendingZoneShape && (
+          <WatchZoneForm
+            shape={pendingZoneShape}
+            onSubmit={handleZoneSave}
+            onCancel={() => setPendingZoneShape(null)}
+          />
+        )}
+        
+        {/* Comparison Panel (takes the place of the detail panel) */}
+        {showComparison && (
+          <ComparisonPanel
+            earthquakes={comparedEarthquakes}
+            onRemove={toggleCompared}
+            onClose={() => setShowComparison(false)}
+          />
+        )}
+        
         {/* Detail Panel */}
-        {selectedEarthquake && (
+        {selectedEarthquake && !showComparison && (
           <DetailPanel
             earthquake={selectedEarthquake}
+            watchZones={watchZones}
+            isCompared={comparedColors.has(selectedEarthquake.id)}
+            onCompareToggle={() => toggleCompared(selectedEarthquake)}
             onClose={() => setSelectedEarthquake(null)}
           />
         )}
@@ -0,0 +1,255 @@
+import { useState, useEffect, useMemo } from 'react';
+import Link from 'next/link';
+import Header from '@/components/UI/Header';
+import LoadingSpinner from '@/components/UI/LoadingSpinner';
+import MagnitudeFrequencyChart from '@/components/Stats/MagnitudeFrequencyChart';
+import CountHistogram from '@/components/Stats/CountHistogram';
+import { useCatalog } from '@/context/CatalogContext';
+import { fetchRecentEarthquakes } from '@/utils/api';
+import { MAX_EVENTS, DEFAULT_RANGES, describeCatalogQuery } from '@/utils/catalog';
+import {
+  magnitudeFrequency,
+  completenessMagnitude,
+  fitGutenbergRichter,
+  dailyCounts,
+  depthHistogram,
+  topRegions,
+} from '@/utils/catalogStats';
+import { formatMagnitude, getMagnitudeColor } from '@/utils/formatters';
+import { Activity, BarChart2, Calendar, Layers, Globe, TrendingDown, Info } from 'lucide-react';
+
+// Catalog used when the page is opened directly, matching the monitor's defaults
+const DEFAULT_QUERY = { timeFilter: 7, dateRange: null, ranges: DEFAULT_RANGES };
+
+export default function StatsPage() {
+  const { catalog, setCatalog } = useCatalog();
+  const [loading, setLoading] = useState(!catalog);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!catalog) loadDefaultCatalog();
+  }, []);
+
+  const loadDefaultCatalog = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await fetchRecentEarthquakes(
+        DEFAULT_QUERY.timeFilter,
+        DEFAULT_RANGES.minMagnitude,
+        MAX_EVENTS
+      );
+      setCatalog({
+        earthquakes: data.earthquakes || [],
+        description: describeCatalogQuery(DEFAULT_QUERY),
+        loadedAt: new Date(),
+      });
+    } catch (err) {
+      setError('Failed to load earthquakes');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const earthquakes = catalog?.earthquakes || [];
+
+  const stats = useMemo(() => {
+    const bins = magnitudeFrequency(earthquakes);
+    const mc = completenessMagnitude(bins);
+    return {
+      bins,
+      mc,
+      fit: fitGutenbergRichter(earthquakes, mc),
+      days: dailyCounts(earthquakes),
+      depths: depthHistogram(earthquakes),
+      regions: topRegions(earthquakes),
+      largest: earthquakes.reduce(
+        (best, eq) => (!best || eq.magnitude > best.magnitude ? eq : best),
+        null
+      ),
+    };
+  }, [earthquakes]);
+
+  return (
+    <div className="min-h-screen bg-bg-dark text-text-primary">
+      <Header />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Page Header */}
+        <div className="space-y-4">
+          <h1 className="text-4xl font-bold">Catalog Statistics</h1>
+          <p className="text-text-secondary text-lg">
+            Magnitude, time and depth distributions of the earthquakes loaded in the live monitor
+          </p>
+          {catalog && (
+            <div className="inline-flex items-center space-x-2 px-3 py-1.5 bg-bg-card border border-white/10 rounded-lg text-sm">
+              <Info className="w-4 h-4 text-blue-500" />
+              <span>{catalog.description}</span>
+              <span className="text-text-secondary">
+                · <Link href="/" className="text-orange-400 hover:text-orange-300">change in Live Monitor</Link>
+              </span>
+            </div>
+          )}
+        </div>
+
+        {loading ? (
+          <LoadingSpinner message="Loading earthquakes..." />
+        ) : error ? (
+          <div className="text-center py-12">
+            <p className="text-red-400">{error}</p>
+            <button
+              onClick={loadDefaultCatalog}
+              className="mt-4 px-6 py-2 bg-orange-500 hover:bg-orange-600 text-white rounded-lg"
+            >
+              Retry
+            </button>
+          </div>
+        ) : earthquakes.length === 0 ? (
+          <div className="text-center py-12 text-text-secondary">
+            No earthquakes in the current catalog. Try widening the filters in the Live Monitor.
+          </div>
+        ) : (
+          <>
+            {/* Statistics Cards */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+              <div className="bg-bg-card border border-white/10 rounded-xl p-6">
+                <div className="flex items-center space-x-3 mb-2">
+                  <div className="w-10 h-10 bg-orange-500/20 rounded-lg flex items-center justify-center">
+                    <Activity className="w-5 h-5 text-orange-500" />
+                  </div>
+                  <div className="text-text-secondary text-sm">Events</div>
+                </div>
+                <div className="text-3xl font-bold">{earthquakes.length.toLocaleString()}</div>
+              </div>
+
+              <div className="bg-bg-card border border-white/10 rounded-xl p-6">
+                <div className="flex items-center space-x-3 mb-2">
+                  <div className="w-10 h-10 bg-red-500/20 rounded-lg flex items-center justify-center">
+                    <TrendingDown className="w-5 h-5 text-red-500" />
+                  </div>
+                  <div className="text-text-secondary text-sm">Largest Event</div>
+                </div>
+                <div className="text-3xl font-bold" style={{ color: getMagnitudeColor(stats.largest.magnitude) }}>
+                  {formatMagnitude(stats.largest.magnitude)}
+                </div>
+              </div>
+
+              <div className="bg-bg-card border border-white/10 rounded-xl p-6">
+                <div className="flex items-center space-x-3 mb-2">
+                  <div className="w-10 h-10 bg-yellow-500/20 rounded-lg flex items-center justify-center">
+                    <Layers className="w-5 h-5 text-yellow-500" />
+                  </div>
+                  <div className="text-text-secondary text-sm">Completeness (Mc)</div>
+                </div>
+                <div className="text-3xl font-bold">{formatMagnitude(stats.mc)}</div>
+              </div>
+
+              <div className="bg-bg-card border border-white/10 rounded-xl p-6">
+                <div className="flex items-center space-x-3 mb-2">
+                  <div className="w-10 h-10 bg-blue-500/20 rounded-lg flex items-center justify-center">
+                    <BarChart2 className="w-5 h-5 text-blue-500" />
+                  </div>
+                  <div className="text-text-secondary text-sm">b-value</div>
+                </div>
+                <div className="text-3xl font-bold">
+                  {stats.fit ? (
+                    <>
+                      {stats.fit.b.toFixed(2)}
+                      <span className="text-lg text-text-secondary font-normal"> ± {stats.fit.bStd.toFixed(2)}</span>
+                    </>
+                  ) : (
+                    '—'
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {/* Magnitude-Frequency Distribution */}
+            <div className="bg-bg-card border border-white/10 rounded-xl p-6">
+              <h2 className="text-xl font-semibold mb-4 flex items-center space-x-2">
+                <BarChart2 className="w-5 h-5 text-orange-500" />
+                <span>Magnitude-Frequency Distribution</span>
+              </h2>
+
+              <MagnitudeFrequencyChart bins={stats.bins} fit={stats.fit} />
+
+              <p className="mt-4 text-sm text-text-secondary">
+                Mc by maximum curvature (+0.2).{' '}
+                {stats.fit
+                  ? `Maximum-likelihood fit to ${stats.fit.count} events at or above Mc: log N = ${stats.fit.a.toFixed(2)} - ${stats.fit.b.toFixed(2)}M.`
+                  : 'Too few events above Mc for a reliable b-value; widen the time window or lower the minimum magnitude.'}{' '}
+                The catalog is cut at the query&apos;s minimum magnitude, so Mc cannot fall below it.
+              </p>
+            </div>
+
+            {/* Daily Event Counts */}
+            <div className="bg-bg-card border border-white/10 rounded-xl p-6">
+              <h2 className="text-xl font-semibold mb-4 flex items-center space-x-2">
+                <Calendar className="w-5 h-5 text-orange-500" />
+                <span>Events per Day (UTC)</span>
+              </h2>
+
+              <CountHistogram
+                labels={stats.days.map((day) => day.date)}
+                counts={stats.days.map((day) => day.count)}
+              />
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-8">
+              {/* Depth Distribution */}
+              <div className="bg-bg-card border border-white/10 rounded-xl p-6">
+                <h2 className="text-xl font-semibold mb-4 flex items-center space-x-2">
+                  <Layers className="w-5 h-5 text-orange-500" />
+                  <span>Depth Distribution</span>
+                </h2>
+
+                <CountHistogram
+                  labels={stats.depths.map((bin) => `${bin.label} km`)}
+                  counts={stats.depths.map((bin) => bin.count)}
+                  color="rgba(59, 130, 246, 0.8)"
+                  horizontal
+                />
+              </div>
+
+              {/* Most Active Regions */}
+              <div className="bg-bg-card border border-white/10 rounded-xl p-6">
+                <h2 className="text-xl font-semibold mb-4 flex items-center space-x-2">
+                  <Globe className="w-5 h-5 text-orange-500" />
+                  <span>Most Active Regions</span>
+                </h2>
+
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="border-b border-white/10">
+                      <tr>
+                        <th className="text-left py-2 px-3 font-medium text-text-secondary">Region</th>
+                        <th className="text-right py-2 px-3 font-medium text-text-secondary">Events</th>
+                        <th className="text-right py-2 px-3 font-medium text-text-secondary">Largest</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {stats.regions.map((region) => (
+                        <tr key={region.name} className="border-b border-white/5 last:border-0">
+                          <td className="py-2 px-3">{region.name}</td>
+                          <td className="py-2 px-3 text-right">{region.count}</td>
+                          <td
+                            className="py-2 px-3 text-right font-semibold"
+                            style={{ color: getMagnitudeColor(region.maxMagnitude) }}
+                          >
+                            {formatMagnitude(region.maxMagnitude)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import axios from 'axios';
 
-const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8000';
+export const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8000';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -10,11 +10,37 @@ const api = axios.create({
   },
 });
 
+// Readable message for a failed request: the backend's `detail` (a string,
+// or FastAPI's list of validation errors), else `fallback`
+export const getErrorMessage = (error, fallback) => {
+  const detail = error.response?.data?.detail;
+  if (typeof detail === 'string') return detail;
+  if (Array.isArray(detail)) return detail.map((item) => item.msg).join('; ');
+  return fallback;
+};
+
 // Earthquake data fetching
-export const fetchRecentEarthquakes = async (days = 7, minMagnitude = 4.0) => {
+// Optional filters: { maxMagnitude, minDepth, maxDepth } (null/undefined = unbounded),
+// { startTime, endTime } (ISO strings) to query a historical window instead of `days`
+// and { latitude, longitude, maxRadiusKm } to search a circle
+export const fetchRecentEarthquakes = async (days = 7, minMagnitude = 4.0, limit = 100, filters = {}) => {
+  const { maxMagnitude, minDepth, maxDepth, startTime, endTime, latitude, longitude, maxRadiusKm } = filters;
+  
   try {
     const response = await api.get('/api/earthquakes', {
-      params: { days, min_magnitude: minMagnitude },
+      params: {
+        days,
+        min_magnitude: minMagnitude,
+        limit,
+        max_magnitude: maxMagnitude ?? undefined,
+        min_depth: minDepth ?? undefined,
+        max_depth: maxDepth ?? undefined,
+        start: startTime ?? undefined,
+        end: endTime ?? undefined,
+        latitude: latitude ?? undefined,
+        longitude: longitude ?? undefined,
+        max_radius_km: maxRadiusKm ?? undefined,
+      },
     });
     return response.data;
   } catch (error) {
@@ -23,14 +49,36 @@ export const fetchRecentEarthquakes = async (days = 7, minMagnitude = 4.0) => {
   }
 };
 
+// Single earthquake by USGS event ID
+export const fetchEarthquakeById = async (eventId) => {
+  try {
+    const response = await api.get(`/api/earthquakes/${encodeURIComponent(eventId)}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching earthquake:', error);
+    throw error;
+  }
+};
+
 // Aftershock prediction
-export const predictAftershocks = async (magnitude, latitude, longitude, tectonicSetting = null) => {
+// Optional windows: [{ start_days, end_days, label }] measured from the mainshock.
+// Only scenarios may borrow a model from the same tectonic setting.
+export const predictAftershocks = async (
+  magnitude,
+  latitude,
+  longitude,
+  tectonicSetting = null,
+  windows = null,
+  scenario = false
+) => {
   try {
     const response = await api.post('/api/predict', {
       magnitude,
       latitude,
       longitude,
       tectonic_setting: tectonicSetting,
+      scenario,
+      windows: windows ?? undefined,
     });
     return response.data;
   } catch (error) {
@@ -0,0 +1,98 @@
+import { haversineDistance } from '@/utils/geo';
+
+// Sort orders offered by the earthquake list
+export const SORT_OPTIONS = [
+  { value: 'time', label: 'Newest first' },
+  { value: 'magnitude', label: 'Largest first' },
+  { value: 'distance', label: 'Nearest to me' },
+];
+
+// Upper bound on events per request; the map clusters anything this large
+export const MAX_EVENTS = 5000;
+
+// Default server-side ranges; null bounds are left open
+export const DEFAULT_RANGES = {
+  minMagnitude: 4.0,
+  maxMagnitude: null,
+  minDepth: null,
+  maxDepth: null,
+};
+
+// Case-insensitive match of every search word against the place name
+export const searchEarthquakes = (earthquakes, query) => {
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return earthquakes;
+
+  return earthquakes.filter((eq) => {
+    const place = (eq.place || '').toLowerCase();
+    return words.every((word) => place.includes(word));
+  });
+};
+
+// Returns a new array; distance sorting needs userLocation ([lat, lon])
+export const sortEarthquakes = (earthquakes, sortBy, userLocation = null) => {
+  const sorted = [...earthquakes];
+
+  if (sortBy === 'magnitude') {
+    sorted.sort((a, b) => (b.magnitude ?? -Infinity) - (a.magnitude ?? -Infinity));
+  } else if (sortBy === 'distance' && userLocation) {
+    const distances = new Map(
+      sorted.map((eq) => [eq.id, haversineDistance(userLocation, [eq.latitude, eq.longitude])])
+    );
+    sorted.sort((a, b) => distances.get(a.id) - distances.get(b.id));
+  } else {
+    sorted.sort((a, b) => new Date(b.time) - new Date(a.time));
+  }
+
+  return sorted;
+};
+
+// Time filter value for an explicit start/end date range
+export const CUSTOM_TIME_FILTER = 'custom';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Today's date (UTC) as YYYY-MM-DD
+export const todayIsoDate = () => new Date().toISOString().slice(0, 10);
+
+// Initial custom range: the 30 days up to today
+export const getDefaultDateRange = () => {
+  const start = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  return { start: start.toISOString().slice(0, 10), end: todayIsoDate() };
+};
+
+export const isValidDateRange = (range) => {
+  return (
+    !!range &&
+    DATE_PATTERN.test(range.start || '') &&
+    DATE_PATTERN.test(range.end || '') &&
+    range.start <= range.end
+  );
+};
+
+// Whole UTC days from the start date through the end date
+export const dateRangeToWindow = ({ start, end }) => ({
+  startTime: `${start}T00:00:00`,
+  endTime: `${end}T23:59:59`,
+});
+
+// Short human-readable summary of the query behind a loaded catalog
+export const describeCatalogQuery = ({ timeFilter, dateRange, ranges }) => {
+  const parts = [
+    timeFilter === CUSTOM_TIME_FILTER && dateRange
+      ? `${dateRange.start} to ${dateRange.end}`
+      : `Last ${timeFilter} days`,
+  ];
+
+  const { minMagnitude, maxMagnitude, minDepth, maxDepth } = ranges;
+  parts.push(
+    maxMagnitude !== null
+      ? `M${minMagnitude.toFixed(1)}-${maxMagnitude.toFixed(1)}`
+      : `M${minMagnitude.toFixed(1)}+`
+  );
+  if (minDepth !== null || maxDepth !== null) {
+    parts.push(`depth ${minDepth ?? 0}-${maxDepth ?? '∞'} km`);
+  }
+
+  return parts.join(' · ');
+};
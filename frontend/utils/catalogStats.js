@@ -0,0 +1,140 @@
+import { getEventTime } from '@/utils/playback';
+
+// Descriptive statistics for the loaded earthquake catalog
+
+// Magnitude bin width used for the frequency-magnitude distribution
+export const MAGNITUDE_BIN = 0.1;
+
+// Maximum-curvature estimates are biased low; add this (Woessner & Wiemer, 2005)
+const MAXC_CORRECTION = 0.2;
+
+// Depth histogram bin edges in km
+export const DEPTH_BIN_EDGES = [0, 10, 20, 35, 50, 70, 100, 150, 200, 300, 400, 500, 700];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundToBin = (magnitude) => Math.round(magnitude / MAGNITUDE_BIN) * MAGNITUDE_BIN;
+const binKey = (magnitude) => roundToBin(magnitude).toFixed(1);
+
+// Incremental and cumulative counts per magnitude bin, smallest first
+export const magnitudeFrequency = (earthquakes) => {
+  const magnitudes = earthquakes.map((eq) => eq.magnitude).filter((m) => m !== null && m !== undefined);
+  if (magnitudes.length === 0) return [];
+
+  const counts = {};
+  magnitudes.forEach((m) => {
+    const key = binKey(m);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+
+  const min = roundToBin(Math.min(...magnitudes));
+  const max = roundToBin(Math.max(...magnitudes));
+  const bins = [];
+  for (let m = min; m <= max + MAGNITUDE_BIN / 2; m += MAGNITUDE_BIN) {
+    const key = binKey(m);
+    bins.push({ magnitude: Number(key), count: counts[key] || 0, cumulative: 0 });
+  }
+
+  let cumulative = 0;
+  for (let i = bins.length - 1; i >= 0; i--) {
+    cumulative += bins[i].count;
+    bins[i].cumulative = cumulative;
+  }
+
+  return bins;
+};
+
+// Completeness magnitude by maximum curvature: the most populated bin, plus
+// the usual correction
+export const completenessMagnitude = (bins) => {
+  if (bins.length === 0) return null;
+  const peak = bins.reduce((best, bin) => (bin.count > best.count ? bin : best), bins[0]);
+  return Number((peak.magnitude + MAXC_CORRECTION).toFixed(1));
+};
+
+// Gutenberg-Richter fit above Mc: Aki (1965) maximum-likelihood b-value with
+// Utsu's binning correction, Shi & Bolt (1982) uncertainty, and the matching
+// a-value for log10 N(>= M) = a - bM. Returns null with too few events.
+export const fitGutenbergRichter = (earthquakes, mc, minEvents = 20) => {
+  if (mc === null) return null;
+
+  const magnitudes = earthquakes
+    .map((eq) => eq.magnitude)
+    .filter((m) => m !== null && m !== undefined && roundToBin(m) >= mc - 1e-9);
+  const n = magnitudes.length;
+  if (n < minEvents) return null;
+
+  const mean = magnitudes.reduce((sum, m) => sum + m, 0) / n;
+  const b = Math.LOG10E / (mean - (mc - MAGNITUDE_BIN / 2));
+  const variance = magnitudes.reduce((sum, m) => sum + (m - mean) ** 2, 0) / (n * (n - 1));
+  const bStd = 2.3 * b * b * Math.sqrt(variance);
+  const a = Math.log10(n) + b * mc;
+
+  return { a, b, bStd, mc, count: n };
+};
+
+// Event counts per UTC day from the first to the last event
+export const dailyCounts = (earthquakes) => {
+  if (earthquakes.length === 0) return [];
+
+  const days = earthquakes.map((eq) => Math.floor(getEventTime(eq) / DAY_MS));
+  const first = Math.min(...days);
+  const last = Math.max(...days);
+
+  const counts = new Array(last - first + 1).fill(0);
+  days.forEach((day) => {
+    counts[day - first] += 1;
+  });
+
+  return counts.map((count, idx) => ({
+    date: new Date((first + idx) * DAY_MS).toISOString().slice(0, 10),
+    count,
+  }));
+};
+
+// Event counts per depth bin; the last bin is open-ended
+export const depthHistogram = (earthquakes) => {
+  const bins = DEPTH_BIN_EDGES.map((edge, idx) => ({
+    label:
+      idx < DEPTH_BIN_EDGES.length - 1 ? `${edge}-${DEPTH_BIN_EDGES[idx + 1]}` : `${edge}+`,
+    min: edge,
+    count: 0,
+  }));
+
+  earthquakes.forEach((eq) => {
+    const depth = Math.max(0, eq.depth);
+    for (let i = bins.length - 1; i >= 0; i--) {
+      if (depth >= bins[i].min) {
+        bins[i].count += 1;
+        break;
+      }
+    }
+  });
+
+  return bins;
+};
+
+// Region name from a USGS place string such as "12 km SSW of Town, Region"
+export const getRegionName = (place) => {
+  if (!place) return 'Unknown';
+  const comma = place.lastIndexOf(',');
+  if (comma !== -1) return place.slice(comma + 1).trim();
+  return place.replace(/^\d+(\.\d+)?\s*km\s+[NSEW]{1,3}\s+of\s+/i, '').trim();
+};
+
+// Most active regions by event count, with their largest magnitude
+export const topRegions = (earthquakes, limit = 10) => {
+  const regions = new Map();
+
+  earthquakes.forEach((eq) => {
+    const name = getRegionName(eq.place);
+    const region = regions.get(name) || { name, count: 0, maxMagnitude: -Infinity };
+    region.count += 1;
+    region.maxMagnitude = Math.max(region.maxMagnitude, eq.magnitude ?? -Infinity);
+    regions.set(name, region);
+  });
+
+  return [...regions.values()]
+    .sort((a, b) => b.count - a.count || b.maxMagnitude - a.maxMagnitude)
+    .slice(0, limit);
+};
@@ -0,0 +1,109 @@
+import { haversineDistance } from '@/utils/geo';
+import { getEventTime } from '@/utils/playback';
+import { sortEarthquakes } from '@/utils/catalog';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rough km per degree of latitude, for a cheap pre-filter before haversine
+const KM_PER_DEGREE = 111.2;
+
+// Gardner & Knopoff (1974) space-time window for a mainshock of magnitude m
+export const gardnerKnopoffWindow = (magnitude) => ({
+  distanceKm: Math.pow(10, 0.1238 * magnitude + 0.983),
+  days:
+    magnitude >= 6.5
+      ? Math.pow(10, 0.032 * magnitude + 2.7389)
+      : Math.pow(10, 0.5409 * magnitude - 0.547),
+});
+
+// Group a catalog into mainshock-aftershock sequences. Events are taken as
+// mainshocks from the largest down; each claims the unassigned events inside
+// its window that follow it. Every event ends up in exactly one sequence
+// ({ id, mainshock, aftershocks }), with aftershocks in time order.
+export const declusterEarthquakes = (earthquakes) => {
+  const byTime = earthquakes
+    .map((eq) => ({ eq, t: getEventTime(eq) }))
+    .sort((a, b) => a.t - b.t);
+  const times = byTime.map((item) => item.t);
+  const indexById = new Map(byTime.map((item, idx) => [item.eq.id, idx]));
+  const assigned = new Array(byTime.length).fill(false);
+
+  // First index with time strictly after t
+  const firstAfter = (t) => {
+    let lo = 0;
+    let hi = times.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= t) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  const byMagnitude = [...byTime].sort((a, b) => (b.eq.magnitude ?? 0) - (a.eq.magnitude ?? 0));
+  const sequences = [];
+
+  byMagnitude.forEach(({ eq: mainshock, t }) => {
+    const mainIndex = indexById.get(mainshock.id);
+    if (assigned[mainIndex]) return;
+    assigned[mainIndex] = true;
+
+    const gkWindow = gardnerKnopoffWindow(mainshock.magnitude ?? 0);
+    const epicenter = [mainshock.latitude, mainshock.longitude];
+    const maxLatDelta = gkWindow.distanceKm / KM_PER_DEGREE;
+    const endTime = t + gkWindow.days * DAY_MS;
+    const aftershocks = [];
+
+    for (let i = firstAfter(t); i < byTime.length && times[i] <= endTime; i++) {
+      if (assigned[i]) continue;
+      const candidate = byTime[i].eq;
+      if (Math.abs(candidate.latitude - mainshock.latitude) > maxLatDelta) continue;
+      if (haversineDistance(epicenter, [candidate.latitude, candidate.longitude]) > gkWindow.distanceKm) continue;
+
+      assigned[i] = true;
+      aftershocks.push(candidate);
+    }
+
+    sequences.push({ id: mainshock.id, mainshock, aftershocks });
+  });
+
+  return sequences;
+};
+
+// Order sequences by their mainshocks using the list's sort options
+export const sortSequences = (sequences, sortBy, userLocation = null) => {
+  const byId = new Map(sequences.map((sequence) => [sequence.id, sequence]));
+  return sortEarthquakes(
+    sequences.map((sequence) => sequence.mainshock),
+    sortBy,
+    userLocation
+  ).map((mainshock) => byId.get(mainshock.id));
+};
+
+// Sequences as they stood at the playhead; those whose mainshock is still
+// in the future are dropped
+export const getSequencesUpTo = (sequences, playhead) => {
+  return sequences
+    .filter((sequence) => getEventTime(sequence.mainshock) <= playhead)
+    .map((sequence) => ({
+      ...sequence,
+      aftershocks: sequence.aftershocks.filter((eq) => getEventTime(eq) <= playhead),
+    }));
+};
+
+// Aftershock counts in equal time bins from the mainshock to the last member
+export const getSequenceActivity = (sequence, bins = 16) => {
+  const counts = new Array(bins).fill(0);
+  if (sequence.aftershocks.length === 0) return counts;
+
+  const start = getEventTime(sequence.mainshock);
+  const last = getEventTime(sequence.aftershocks[sequence.aftershocks.length - 1]);
+  const span = Math.max(last - start, 1);
+
+  sequence.aftershocks.forEach((eq) => {
+    const bin = Math.min(bins - 1, Math.floor(((getEventTime(eq) - start) / span) * bins));
+    counts[bin] += 1;
+  });
+
+  return counts;
+};
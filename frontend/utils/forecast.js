@@ -0,0 +1,535 @@
+import { predictAftershocks, fetchModelCoverage, fetchModelDetails } from '@/utils/api';
+import globalFallbackModel from '@/data/global-fallback-model.json';
+
+// Client-side port of AftershockModelQuery.predict_aftershocks in
+// backend/main.py. It builds the same forecasts, magnitude_probabilities and
+// risk_assessment structures from a region model's omori and gr blocks, so
+// forecasts still work when the backend is unreachable. Keep the two in step.
+
+// Forecast snapshots in days after the mainshock
+export const FORECAST_DAYS = [1, 7, 30, 365];
+
+// Magnitude thresholds for exceedance probabilities
+export const MAGNITUDE_THRESHOLDS = [3.0, 4.0, 4.5, 5.0, 5.5, 6.0, 6.5, 7.0, 7.5, 8.0, 8.5];
+
+// MAGNITUDE_THRESHOLDS plus the mainshock magnitude rounded up to the
+// catalog's 0.1 bins, so the odds of a later event at least as large as the
+// mainshock are always listed
+export const probabilityThresholds = (mainshockMagnitude) => {
+  const mainshockBin = Math.ceil(mainshockMagnitude * 10 - 1e-9) / 10;
+  return [...new Set([...MAGNITUDE_THRESHOLDS, mainshockBin])].sort((a, b) => a - b);
+};
+
+// Omori-Utsu rate n(t) = K / (t + c)^p, in aftershocks per day
+export const omoriRate = ({ p, c, K }, days) => K / Math.pow(days + c, p);
+
+// Expected aftershocks from the mainshock to t days after it
+export const omoriCumulative = ({ p, c, K }, days) => {
+  if (p !== 1) {
+    return (K * (Math.pow(days + c, 1 - p) - Math.pow(c, 1 - p))) / (1 - p);
+  }
+  return K * Math.log((days + c) / c);
+};
+
+// Expected aftershocks at or above a magnitude, log N = a - bM
+export const grExpectedCount = ({ a_value, b_value }, magnitude) =>
+  Math.pow(10, a_value - b_value * magnitude);
+
+// Probability of at least one event when N are expected (Poisson); expm1
+// keeps it accurate for the tiny counts of large thresholds
+export const poissonProbability = (expected) => -Math.expm1(-expected);
+
+// Standard normal quantile for two-sided 5-95% ranges
+export const UNCERTAINTY_Z = 1.645;
+
+// 5-95% range of a quantity whose natural log has the given std
+export const lognormalRange = (value, logStd) => {
+  const spread = Math.exp(UNCERTAINTY_Z * logStd);
+  return [value / spread, value * spread];
+};
+
+// First-order std of the log Omori rate at `days`, propagated from the
+// fitted p, c and K errors
+export const omoriRateLogStd = (omori, days) => {
+  const { p, c, K, p_std: pStd = 0, c_std: cStd = 0, K_std: KStd = 0 } = omori;
+  const t = days + c;
+
+  // log n = log K - p log(t + c)
+  return Math.sqrt((KStd / K) ** 2 + (Math.log(t) * pStd) ** 2 + ((p / t) * cStd) ** 2);
+};
+
+// Expected count from the mainshock to `days`, with its partial derivatives
+// in p and c
+const omoriIntegral = (omori, days) => {
+  const { p, c, K } = omori;
+  const t = days + c;
+
+  let count;
+  let dNdp;
+  if (p !== 1) {
+    const q = 1 - p;
+    count = (K * (Math.pow(t, q) - Math.pow(c, q))) / q;
+    const dfdq = (Math.pow(t, q) * Math.log(t) - Math.pow(c, q) * Math.log(c)) / q - count / (K * q);
+    dNdp = -K * dfdq;
+  } else {
+    count = K * Math.log(t / c);
+    dNdp = (-K * (Math.log(t) ** 2 - Math.log(c) ** 2)) / 2;
+  }
+  const dNdc = K * (Math.pow(t, -p) - Math.pow(c, -p));
+
+  return { count, dNdp, dNdc };
+};
+
+// Expected count between two times after the mainshock and the first-order
+// std of its log
+export const omoriWindow = (omori, startDays, endDays) => {
+  const { K, p_std: pStd = 0, c_std: cStd = 0, K_std: KStd = 0 } = omori;
+  const start = omoriIntegral(omori, startDays);
+  const end = omoriIntegral(omori, endDays);
+  const count = end.count - start.count;
+
+  const logVar =
+    (KStd / K) ** 2 +
+    (((end.dNdp - start.dNdp) * pStd) / count) ** 2 +
+    (((end.dNdc - start.dNdc) * cStd) / count) ** 2;
+
+  return { count, logStd: Math.sqrt(logVar) };
+};
+
+// Std of ln N(>= M); a and b errors are combined as independent since no
+// covariance is stored
+export const grLogStd = ({ a_std: aStd = 0, b_std: bStd = 0 }, magnitude) =>
+  Math.LN10 * Math.sqrt(aStd ** 2 + (magnitude * bStd) ** 2);
+
+// Reasenberg & Jones (1989) generic productivity. The regional Omori fits
+// pool many sequences, so their K says nothing about a single mainshock.
+export const REASENBERG_JONES_A = -1.67;
+
+// Expected events at or above `magnitude` between two times after the
+// mainshock from the Reasenberg-Jones rate 10^(a + b(Mm - M)) (t + c)^-p, with
+// the region's b, p and c, and the first-order std of its log
+export const reasenbergJonesCount = (omori, gr, mainshockMagnitude, magnitude, startDays, endDays) => {
+  // Omori integral at unit productivity; its log std carries p and c errors
+  const { count: decay, logStd: decayLogStd } = omoriWindow({ ...omori, K: 1, K_std: 0 }, startDays, endDays);
+  const delta = mainshockMagnitude - magnitude;
+  const scalingLogStd = Math.LN10 * Math.abs(delta) * (gr.b_std ?? 0);
+
+  return {
+    count: decay * Math.pow(10, REASENBERG_JONES_A + gr.b_value * delta),
+    logStd: Math.sqrt(decayLogStd ** 2 + scalingLogStd ** 2),
+  };
+};
+
+// Reasenberg-Jones exceedance probabilities between two times after the
+// mainshock
+export const reasenbergJonesProbabilities = (omori, gr, mainshockMagnitude, startDays, endDays) => {
+  const magnitudeProbabilities = {};
+  probabilityThresholds(mainshockMagnitude).forEach((threshold) => {
+    const { count: expected, logStd } = reasenbergJonesCount(
+      omori,
+      gr,
+      mainshockMagnitude,
+      threshold,
+      startDays,
+      endDays
+    );
+    const countRange = lognormalRange(expected, logStd);
+    const probability = poissonProbability(expected);
+    magnitudeProbabilities[`M${threshold.toFixed(1)}`] = {
+      magnitude: threshold,
+      foreshock: threshold >= mainshockMagnitude,
+      expected_count: expected,
+      probability,
+      percentage: probability * 100,
+      expected_count_range: countRange,
+      probability_range: countRange.map(poissonProbability),
+    };
+  });
+
+  return magnitudeProbabilities;
+};
+
+// Båth's law: the largest aftershock is typically this much smaller than the
+// mainshock
+export const BATH_DELTA_M = 1.2;
+
+const EULER_GAMMA = 0.5772156649015329;
+
+// Probability that the largest aftershock is below `magnitude`, given a
+// largest_aftershock summary: exp(-10^(b(mode - m)))
+export const largestAftershockCdf = ({ most_likely_magnitude: mode, b_value: b }, magnitude) =>
+  Math.exp(-Math.pow(10, b * (mode - magnitude)));
+
+// Distribution of the largest aftershock's magnitude from Båth's law with the
+// region's b-value (Shcherbakov & Turcotte, 2004): one event at or above
+// Mm - ΔM is expected, a Gumbel distribution with its mode there
+export const largestAftershock = (gr, mainshockMagnitude) => {
+  const b = gr.b_value;
+  const mode = mainshockMagnitude - BATH_DELTA_M;
+  const scale = 1 / (b * Math.LN10);
+  const quantile = (q) => mode - scale * Math.log(-Math.log(q));
+
+  return {
+    delta_m: BATH_DELTA_M,
+    b_value: b,
+    most_likely_magnitude: mode,
+    expected_magnitude: mode + EULER_GAMMA * scale,
+    magnitude_range: [quantile(0.05), quantile(0.95)],
+    // A later event at or above the mainshock makes it a foreshock
+    mainshock_exceedance_probability: 1 - Math.exp(-Math.pow(10, -b * BATH_DELTA_M)),
+  };
+};
+
+const RISK_LEVELS = [
+  {
+    minScore: 70,
+    level: 'CRITICAL',
+    color: '#dc2626',
+    description: 'Extremely high risk of damaging aftershocks',
+    recommendations: [
+      'Evacuate damaged buildings immediately',
+      'Prepare for multiple strong aftershocks',
+      'Keep emergency supplies readily accessible',
+      'Follow official evacuation orders',
+      'Stay away from damaged infrastructure',
+    ],
+  },
+  {
+    minScore: 50,
+    level: 'HIGH',
+    color: '#f59e0b',
+    description: 'High risk of significant aftershocks',
+    recommendations: [
+      'Avoid damaged or weakened structures',
+      'Keep emergency kit prepared',
+      'Monitor official updates frequently',
+      'Have evacuation plan ready',
+      'Check on vulnerable neighbors',
+    ],
+  },
+  {
+    minScore: 30,
+    level: 'ELEVATED',
+    color: '#fbbf24',
+    description: 'Elevated risk of aftershocks',
+    recommendations: [
+      'Stay alert for aftershocks',
+      'Inspect buildings for damage',
+      'Prepare emergency supplies',
+      'Stay informed via local authorities',
+      'Plan safe locations in your area',
+    ],
+  },
+  {
+    minScore: -Infinity,
+    level: 'MODERATE',
+    color: '#10b981',
+    description: 'Moderate aftershock activity expected',
+    recommendations: [
+      'Be aware of aftershock possibility',
+      'Check for any minor damage',
+      'Keep emergency contacts handy',
+      'Follow standard earthquake safety',
+      'Monitor for updates',
+    ],
+  },
+];
+
+// Score-based risk level, as in AftershockModelQuery._assess_risk
+export const assessRisk = (mainshockMagnitude, day1Rate, magnitudeProbabilities) => {
+  let score = 0;
+  const factors = [];
+
+  if (mainshockMagnitude >= 7.0) {
+    score += 40;
+    factors.push('Very large mainshock (M≥7.0)');
+  } else if (mainshockMagnitude >= 6.0) {
+    score += 25;
+    factors.push('Large mainshock (M≥6.0)');
+  } else if (mainshockMagnitude >= 5.0) {
+    score += 15;
+    factors.push('Moderate mainshock (M≥5.0)');
+  }
+
+  if (day1Rate > 50) {
+    score += 30;
+    factors.push('Very high aftershock rate expected');
+  } else if (day1Rate > 20) {
+    score += 20;
+    factors.push('High aftershock rate expected');
+  } else if (day1Rate > 5) {
+    score += 10;
+    factors.push('Moderate aftershock rate expected');
+  }
+
+  if (magnitudeProbabilities['M5.0']?.probability > 0.5) {
+    score += 20;
+    factors.push('High probability of M≥5.0 aftershocks');
+  }
+
+  if (magnitudeProbabilities['M6.0']?.probability > 0.2) {
+    score += 10;
+    factors.push('Significant probability of M≥6.0 aftershocks');
+  }
+
+  const { minScore, ...risk } = RISK_LEVELS.find((entry) => score >= entry.minScore);
+  return {
+    level: risk.level,
+    score,
+    color: risk.color,
+    description: risk.description,
+    factors,
+    recommendations: risk.recommendations,
+  };
+};
+
+// Integrated count and exceedance probabilities for one custom window
+// ({ start_days, end_days, label } measured from the mainshock), scaled from
+// the mainshock magnitude
+export const forecastWindow = (omori, gr, mainshockMagnitude, interval) => {
+  const { start_days: start, end_days: end } = interval;
+  const { count, logStd } = reasenbergJonesCount(omori, gr, mainshockMagnitude, gr.Mc, start, end);
+
+  return {
+    label: interval.label ?? null,
+    start_days: start,
+    end_days: end,
+    min_magnitude: gr.Mc,
+    expected_aftershocks: count,
+    expected_range: lognormalRange(count, logStd),
+    magnitude_probabilities: reasenbergJonesProbabilities(omori, gr, mainshockMagnitude, start, end),
+  };
+};
+
+// Full prediction for a mainshock from one model's JSON
+export const predictFromModel = (
+  model,
+  source,
+  magnitude,
+  latitude,
+  longitude,
+  { forecastDays = FORECAST_DAYS, windows = [] } = {}
+) => {
+  const { omori, gr } = model;
+
+  const forecasts = {};
+  forecastDays.forEach((days) => {
+    const rate = omoriRate(omori, days);
+    const cumulative = omoriCumulative(omori, days);
+    forecasts[`day_${days}`] = {
+      days,
+      rate_per_day: rate,
+      expected_aftershocks: rate,
+      cumulative_expected: cumulative,
+      rate_range: lognormalRange(rate, omoriRateLogStd(omori, days)),
+      cumulative_range: lognormalRange(cumulative, omoriWindow(omori, 0, days).logStd),
+    };
+  });
+
+  // The catalog-wide G-R count ignores this sequence, so it only covers
+  // thresholds below the mainshock; foreshock odds come from Reasenberg-Jones
+  const magnitudeProbabilities = {};
+  MAGNITUDE_THRESHOLDS.filter((threshold) => threshold < magnitude).forEach((threshold) => {
+    const expected = grExpectedCount(gr, threshold);
+    const probability = poissonProbability(expected);
+    const countRange = lognormalRange(expected, grLogStd(gr, threshold));
+    magnitudeProbabilities[`M${threshold.toFixed(1)}`] = {
+      magnitude: threshold,
+      expected_count: expected,
+      probability,
+      percentage: probability * 100,
+      expected_count_range: countRange,
+      probability_range: countRange.map(poissonProbability),
+    };
+  });
+
+  return {
+    mainshock: { magnitude, latitude, longitude },
+    model_info: {
+      region_id: model.region_id,
+      source,
+      quality: model.data_quality || 'unknown',
+      tectonic_setting: model.tectonic_setting || 'unknown',
+      training_sequences: model.n_sequences || 0,
+      training_aftershocks: model.n_total_aftershocks || 0,
+      omori_r_squared: model.omori_r_squared || 0,
+      gr_r_squared: model.gr_r_squared || 0,
+    },
+    parameters: { omori: { ...omori }, gr: { ...gr } },
+    forecasts,
+    magnitude_probabilities: magnitudeProbabilities,
+    reasenberg_jones: {
+      a_value: REASENBERG_JONES_A,
+      b_value: gr.b_value,
+      p: omori.p,
+      c: omori.c,
+      windows: Object.fromEntries(
+        forecastDays.map((days) => [
+          `day_${days}`,
+          { days, magnitude_probabilities: reasenbergJonesProbabilities(omori, gr, magnitude, 0, days) },
+        ])
+      ),
+    },
+    largest_aftershock: largestAftershock(gr, magnitude),
+    windows: windows.map((interval) => forecastWindow(omori, gr, magnitude, interval)),
+    risk_assessment: assessRisk(magnitude, forecasts.day_1?.rate_per_day ?? 0, magnitudeProbabilities),
+  };
+};
+
+// Region model to use for a location, as in get_model_for_earthquake: the
+// cell containing it, else for scenarios (allowAnalog) the nearest model of
+// the same tectonic setting. `regions` are /api/models/coverage entries.
+// Returns { regionId, source } or null when only the global fallback applies.
+export const findRegionForLocation = (regions, latitude, longitude, tectonicSetting = null, allowAnalog = false) => {
+  const containing = regions.find(
+    ({ bounds }) =>
+      bounds.lat[0] <= latitude &&
+      latitude <= bounds.lat[1] &&
+      bounds.lon[0] <= longitude &&
+      longitude <= bounds.lon[1]
+  );
+  if (containing) return { regionId: containing.region_id, source: 'regional' };
+
+  if (allowAnalog && tectonicSetting) {
+    const distance = ({ center }) => (center.lat - latitude) ** 2 + (center.lon - longitude) ** 2;
+    const nearest = regions
+      .filter((region) => region.tectonic_setting === tectonicSetting)
+      .reduce((best, region) => (!best || distance(region) < distance(best) ? region : best), null);
+    if (nearest) return { regionId: nearest.region_id, source: 'tectonic_analog' };
+  }
+
+  return null;
+};
+
+// Model JSON fetched so far; coverage is kept only once it has loaded
+let coverageRequest = null;
+const modelCache = new Map();
+
+// Coverage and the most recently used models are also persisted in
+// localStorage, so forecasts stay regional when the backend is offline
+const COVERAGE_KEY = 'aftershock-monitor:model-coverage';
+const MODELS_KEY = 'aftershock-monitor:models';
+const MAX_STORED_MODELS = 20;
+
+const readStored = (key) => {
+  try {
+    return JSON.parse(window.localStorage.getItem(key));
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeStored = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // No storage (server render, private mode or full quota): memory only
+  }
+};
+
+// Stored models as [regionId, model] entries, most recently used last
+const readStoredModels = () => {
+  const stored = readStored(MODELS_KEY);
+  return Array.isArray(stored) ? stored : [];
+};
+
+const storeModel = (regionId, model) => {
+  const entries = readStoredModels().filter(([id]) => id !== regionId);
+  writeStored(MODELS_KEY, [...entries, [regionId, model]].slice(-MAX_STORED_MODELS));
+};
+
+const loadCoverage = () => {
+  if (!coverageRequest) {
+    coverageRequest = fetchModelCoverage()
+      .then((coverage) => {
+        writeStored(COVERAGE_KEY, coverage);
+        return coverage;
+      })
+      .catch((err) => {
+        coverageRequest = null;
+        const stored = readStored(COVERAGE_KEY);
+        if (stored) return stored;
+        throw err;
+      });
+  }
+  return coverageRequest;
+};
+
+const loadModel = async (regionId) => {
+  if (!modelCache.has(regionId)) {
+    try {
+      const data = await fetchModelDetails(regionId);
+      modelCache.set(regionId, data.model);
+      storeModel(regionId, data.model);
+    } catch (err) {
+      const stored = readStoredModels().find(([id]) => id === regionId);
+      if (!stored) throw err;
+      return stored[1];
+    }
+  }
+  return modelCache.get(regionId);
+};
+
+// Regional or analog model for a location as { model, source }, or null when
+// only the global fallback applies. Rejects when neither the model endpoints
+// nor localStorage can supply it.
+const loadRegionalModel = async (latitude, longitude, tectonicSetting, scenario) => {
+  const coverage = await loadCoverage();
+  const match = findRegionForLocation(coverage.coverage, latitude, longitude, tectonicSetting, scenario);
+  if (!match) return null;
+  return { model: await loadModel(match.regionId), source: match.source };
+};
+
+// Forecast computed in the browser. Uses the regional model when the model
+// endpoints respond or it was stored on an earlier visit, and the bundled
+// global fallback otherwise. Resolves to the same envelope as POST /api/predict.
+export const predictAftershocksLocally = async (
+  magnitude,
+  latitude,
+  longitude,
+  tectonicSetting = null,
+  windows = null,
+  scenario = false
+) => {
+  let model = globalFallbackModel;
+  let source = 'global_fallback';
+
+  try {
+    const regional = await loadRegionalModel(latitude, longitude, tectonicSetting, scenario);
+    if (regional) ({ model, source } = regional);
+  } catch (err) {
+    // Model endpoints unreachable and nothing stored: keep the bundled global model
+  }
+
+  return {
+    success: true,
+    predictions: predictFromModel(model, source, magnitude, latitude, longitude, { windows: windows || [] }),
+    generated_at: new Date().toISOString(),
+    computed_locally: true,
+  };
+};
+
+// Only unreachable or failing backends fall back; 4xx responses are the
+// request's fault and would fail locally too
+const shouldComputeLocally = (err) => !err.response || err.response.status >= 500;
+
+// Backend forecast, falling back to the client-side engine when the backend
+// is unreachable or errors. Successful forecasts also fetch the model for
+// the location in the background, so a later fallback can use it.
+export const getAftershockForecast = async (
+  magnitude,
+  latitude,
+  longitude,
+  tectonicSetting = null,
+  windows = null,
+  scenario = false
+) => {
+  try {
+    const response = await predictAftershocks(magnitude, latitude, longitude, tectonicSetting, windows, scenario);
+    loadRegionalModel(latitude, longitude, tectonicSetting, scenario).catch(() => {});
+    return response;
+  } catch (err) {
+    if (!shouldComputeLocally(err)) throw err;
+    return predictAftershocksLocally(magnitude, latitude, longitude, tectonicSetting, windows, scenario);
+  }
+};
@@ -45,6 +45,21 @@ export const getMagnitudeColor = (magnitude) => {
   return '#10b981'; // Moderate green
 };
 
+// Depth bands used for depth coloring, shallowest first
+export const DEPTH_BANDS = [
+  { max: 35, label: '0-35 km', color: '#ef4444' },
+  { max: 70, label: '35-70 km', color: '#f97316' },
+  { max: 150, label: '70-150 km', color: '#eab308' },
+  { max: 300, label: '150-300 km', color: '#22c55e' },
+  { max: 500, label: '300-500 km', color: '#3b82f6' },
+  { max: Infinity, label: '> 500 km', color: '#8b5cf6' },
+];
+
+// Get depth color
+export const getDepthColor = (depth) => {
+  return DEPTH_BANDS.find((band) => depth < band.max).color;
+};
+
 // Get risk level color
 export const getRiskLevelColor = (level) => {
   const colors = {
@@ -66,6 +81,20 @@ export const formatNumber = (num) => {
   return new Intl.NumberFormat('en-US').format(Math.round(num));
 };
 
+// Expected counts keep a decimal or two when small
+export const formatCount = (num) => {
+  if (num >= 10) return formatNumber(num);
+  return num.toFixed(num >= 1 ? 1 : 2);
+};
+
+// Format a [low, high] uncertainty range with the given formatter
+export const formatRange = ([low, high], format = formatNumber) => {
+  return `${format(low)}–${format(high)}`;
+};
+
+// Time after an event in days, as hours below a day
+export const formatElapsed = (days) => (days < 1 ? `${(days * 24).toFixed(1)} h` : `${days.toFixed(1)} d`);
+
 // Truncate place name
 export const truncatePlace = (place, maxLength = 50) => {
   if (!place) return 'Unknown location';
@@ -0,0 +1,149 @@
+// Geometry helpers for map selections. Shapes are { type, latlngs } with
+// latlngs as [[lat, lon], ...] describing a closed ring.
+
+// Longitude folded into [-180, 180), e.g. from a click on a wrapped world copy
+export const wrapLongitude = (lon) => ((((lon + 180) % 360) + 360) % 360) - 180;
+
+// Ring moved by whole turns so its first vertex has a canonical longitude.
+// The other vertices keep their offsets, so a ring drawn across the
+// antimeridian stays in one piece.
+export const wrapRing = (latlngs) => {
+  const shift = wrapLongitude(latlngs[0][1]) - latlngs[0][1];
+  return latlngs.map(([lat, lon]) => [lat, lon + shift]);
+};
+
+// Ray-casting point-in-polygon test in lat/lon space. The point's longitude
+// is taken within half a turn of the first vertex, so rings that cross the
+// antimeridian still contain points on either side of it.
+export const isPointInPolygon = (lat, lon, latlngs) => {
+  const reference = latlngs[0][1];
+  lon = reference + wrapLongitude(lon - reference);
+  let inside = false;
+
+  for (let i = 0, j = latlngs.length - 1; i < latlngs.length; j = i++) {
+    const [latI, lonI] = latlngs[i];
+    const [latJ, lonJ] = latlngs[j];
+
+    const crosses = (latI > lat) !== (latJ > lat);
+    if (crosses && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Ring for an axis-aligned rectangle between two opposite corners
+export const rectangleToLatLngs = ([lat1, lon1], [lat2, lon2]) => {
+  return [
+    [lat1, lon1],
+    [lat1, lon2],
+    [lat2, lon2],
+    [lat2, lon1],
+  ];
+};
+
+// Events whose epicenter falls inside the shape
+export const filterEarthquakesInShape = (earthquakes, shape) => {
+  if (!shape) return earthquakes;
+  return earthquakes.filter((eq) => isPointInPolygon(eq.latitude, eq.longitude, shape.latlngs));
+};
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+// Great-circle distance in km
+export const haversineDistance = ([lat1, lon1], [lat2, lon2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Initial bearing in degrees from the first point to the second
+export const initialBearing = ([lat1, lon1], [lat2, lon2]) => {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+// Point reached by travelling distanceKm along a bearing
+export const destinationPoint = ([lat, lon], bearing, distanceKm) => {
+  const delta = distanceKm / EARTH_RADIUS_KM;
+  const theta = toRadians(bearing);
+  const phi1 = toRadians(lat);
+  const lambda1 = toRadians(lon);
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lambda2 =
+    lambda1 +
+    Math.atan2(
+      Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+      Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+    );
+
+  return [toDegrees(phi2), wrapLongitude(toDegrees(lambda2))];
+};
+
+// Signed cross-track and along-track distance (km) of a point from the
+// great circle through start and end
+export const projectOntoProfile = (point, start, end) => {
+  const d13 = haversineDistance(start, point) / EARTH_RADIUS_KM;
+  const theta13 = toRadians(initialBearing(start, point));
+  const theta12 = toRadians(initialBearing(start, end));
+
+  const crossTrack = Math.asin(Math.sin(d13) * Math.sin(theta13 - theta12));
+  const alongTrack = Math.acos(Math.min(1, Math.cos(d13) / Math.cos(crossTrack)));
+  const direction = Math.cos(theta13 - theta12) < 0 ? -1 : 1;
+
+  return {
+    crossTrackKm: crossTrack * EARTH_RADIUS_KM,
+    alongTrackKm: direction * alongTrack * EARTH_RADIUS_KM,
+  };
+};
+
+// Great-circle distance (km) from a point to the segment between start and
+// end: across the track where the point projects onto it, else to the nearer end
+export const distanceToSegment = (point, start, end) => {
+  const lengthKm = haversineDistance(start, end);
+  const { crossTrackKm, alongTrackKm } = projectOntoProfile(point, start, end);
+  if (alongTrackKm > 0 && alongTrackKm < lengthKm) return Math.abs(crossTrackKm);
+  return Math.min(haversineDistance(start, point), haversineDistance(end, point));
+};
+
+// Corridor of half-width km either side of a profile line
+export const profileCorridor = (start, end, halfWidthKm) => {
+  const bearing = initialBearing(start, end);
+  const backBearing = initialBearing(end, start);
+  return [
+    destinationPoint(start, bearing - 90, halfWidthKm),
+    destinationPoint(end, backBearing + 90, halfWidthKm),
+    destinationPoint(end, backBearing - 90, halfWidthKm),
+    destinationPoint(start, bearing + 90, halfWidthKm),
+  ];
+};
+
+// Events within the swath, with their distance along the profile
+export const getCrossSectionEvents = (earthquakes, start, end, halfWidthKm) => {
+  const lengthKm = haversineDistance(start, end);
+
+  return earthquakes
+    .map((eq) => ({
+      earthquake: eq,
+      ...projectOntoProfile([eq.latitude, eq.longitude], start, end),
+    }))
+    .filter(
+      (item) =>
+        Math.abs(item.crossTrackKm) <= halfWidthKm &&
+        item.alongTrackKm >= 0 &&
+        item.alongTrackKm <= lengthKm
+    );
+};
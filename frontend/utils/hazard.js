@@ -0,0 +1,69 @@
+// Spatial aftershock hazard derived from the forecast rather than fixed ratios
+
+import { reasenbergJonesCount } from '@/utils/forecast';
+
+// Power-law decay exponent of the spatial kernel (ETAS-style, q > 1)
+const KERNEL_Q = 1.5;
+
+// Hazard window: the first 30 days after the mainshock
+export const HAZARD_FORECAST_DAYS = 30;
+
+// Density contour levels in expected aftershocks per 100 km², highest first
+export const DENSITY_LEVELS = [
+  { density: 100, color: '#dc2626' },
+  { density: 10, color: '#f97316' },
+  { density: 1, color: '#f59e0b' },
+  { density: 0.1, color: '#fde047' },
+];
+
+// Subsurface rupture length in km (Wells & Coppersmith, 1994, all slip types)
+export const ruptureLength = (magnitude) => {
+  return Math.pow(10, -2.44 + 0.59 * magnitude);
+};
+
+// Kernel length scale: aftershocks cluster over roughly half the rupture
+const kernelScale = (magnitude) => ruptureLength(magnitude) / 2;
+
+// Aftershocks at or above the model's Mc expected within the hazard window,
+// from the Reasenberg-Jones rate so they scale with the mainshock; the
+// regional Omori K pools many sequences and is the same for any magnitude
+export const hazardExpectedCount = ({ omori, gr }, mainshockMagnitude) =>
+  reasenbergJonesCount(omori, gr, mainshockMagnitude, gr.Mc, 0, HAZARD_FORECAST_DAYS).count;
+
+// Expected aftershocks per km² at distance r (km) from the epicenter.
+// The kernel integrates to 1 over the plane, so the total equals expectedCount.
+export const aftershockDensity = (distanceKm, magnitude, expectedCount) => {
+  const d = kernelScale(magnitude);
+  const q = KERNEL_Q;
+  const norm = ((q - 1) / Math.PI) * Math.pow(d, 2 * (q - 1));
+  return expectedCount * norm / Math.pow(distanceKm * distanceKm + d * d, q);
+};
+
+// Distance (km) at which the density drops to the given level, or null if
+// the peak density never reaches it
+export const densityRadius = (density, magnitude, expectedCount) => {
+  const d = kernelScale(magnitude);
+  const q = KERNEL_Q;
+  const norm = ((q - 1) / Math.PI) * Math.pow(d, 2 * (q - 1));
+  const squared = Math.pow(expectedCount * norm / density, 1 / q) - d * d;
+  return squared > 0 ? Math.sqrt(squared) : null;
+};
+
+// Contour rings for a mainshock, ordered outermost first for drawing
+export const calculateDensityContours = (magnitude, expectedCount) => {
+  if (!expectedCount || expectedCount <= 0) return [];
+
+  return DENSITY_LEVELS
+    .map((level) => ({
+      ...level,
+      radiusKm: densityRadius(level.density / 100, magnitude, expectedCount),
+    }))
+    .filter((level) => level.radiusKm !== null)
+    .reverse();
+};
+
+// Radius (km) of the outermost density contour, used as the event's hazard area
+export const hazardAreaRadius = (magnitude, expectedCount) => {
+  const contours = calculateDensityContours(magnitude, expectedCount);
+  return contours.length > 0 ? contours[0].radiusKm : null;
+};
@@ -0,0 +1,90 @@
+import { formatMagnitude } from '@/utils/formatters';
+
+// Background refresh options (minutes, 0 = off)
+export const REFRESH_INTERVALS = [
+  { value: 0, label: 'Off' },
+  { value: 1, label: '1 min' },
+  { value: 5, label: '5 min' },
+  { value: 15, label: '15 min' },
+];
+
+// Notification magnitude thresholds (null = off)
+export const NOTIFY_THRESHOLDS = [null, 4.5, 5.0, 6.0, 7.0];
+
+const SETTINGS_KEY = 'aftershock-monitor:live-settings';
+
+export const DEFAULT_LIVE_SETTINGS = {
+  refreshMinutes: 5,
+  notifyMagnitude: null,
+};
+
+export const loadLiveSettings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_LIVE_SETTINGS, ...stored };
+  } catch (error) {
+    return DEFAULT_LIVE_SETTINGS;
+  }
+};
+
+export const saveLiveSettings = (settings) => {
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving live update settings:', error);
+  }
+};
+
+// Merge a refreshed catalog into the current one. The incoming list defines
+// the window; events whose `updated` stamp is unchanged keep their existing
+// object so downstream memoization does not churn.
+export const mergeEarthquakes = (current, incoming) => {
+  const existing = new Map(current.map((eq) => [eq.id, eq]));
+  const added = [];
+  const updated = [];
+
+  const earthquakes = incoming.map((eq) => {
+    const previous = existing.get(eq.id);
+    if (!previous) {
+      added.push(eq);
+      return eq;
+    }
+    if (previous.updated !== eq.updated) {
+      updated.push(eq);
+      return eq;
+    }
+    return previous;
+  });
+
+  return { earthquakes, added, updated };
+};
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Ask for permission; resolves true when notifications may be shown
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return false;
+  if (Notification.permission === 'granted') return true;
+  if (Notification.permission === 'denied') return false;
+  return (await Notification.requestPermission()) === 'granted';
+};
+
+// One browser notification per event at or above the threshold
+export const notifyNewEarthquakes = (earthquakes, threshold, onClick) => {
+  if (threshold === null || !notificationsSupported() || Notification.permission !== 'granted') {
+    return;
+  }
+
+  earthquakes
+    .filter((eq) => eq.magnitude >= threshold)
+    .forEach((eq) => {
+      const notification = new Notification(`${formatMagnitude(eq.magnitude)} earthquake`, {
+        body: eq.place,
+        tag: eq.id,
+      });
+      notification.onclick = () => {
+        window.focus();
+        onClick(eq);
+      };
+    });
+};
@@ -0,0 +1,84 @@
+import { gardnerKnopoffWindow } from '@/utils/declustering';
+import { getEventTime } from '@/utils/playback';
+import { reasenbergJonesCount } from '@/utils/forecast';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Observation stops this long after the mainshock
+export const OBSERVATION_DAYS = 365;
+
+// USGS queries below this magnitude are not supported by the backend
+const MIN_QUERY_MAGNITUDE = 2.5;
+
+// Normal approximation above this mean; exact quantiles below
+const POISSON_NORMAL_THRESHOLD = 100;
+
+// Search radius for a mainshock's aftershocks, from its Gardner-Knopoff window
+export const observationRadiusKm = (magnitude) => gardnerKnopoffWindow(magnitude).distanceKm;
+
+// Observation span in days: from the mainshock to now, capped
+export const observationSpanDays = (mainshock, now = Date.now()) =>
+  Math.max(0, Math.min(OBSERVATION_DAYS, (now - getEventTime(mainshock)) / DAY_MS));
+
+// Smallest magnitude to count: the model's completeness magnitude, rounded
+// up to a catalog bin and no lower than the backend allows
+export const observationMagnitude = (gr) =>
+  Math.max(MIN_QUERY_MAGNITUDE, Math.ceil((gr.Mc ?? MIN_QUERY_MAGNITUDE) * 10 - 1e-9) / 10);
+
+// Days after the mainshock of each later event, ascending
+export const observedTimes = (mainshock, events) => {
+  const start = getEventTime(mainshock);
+  return events
+    .filter((eq) => eq.id !== mainshock.id)
+    .map((eq) => (getEventTime(eq) - start) / DAY_MS)
+    .filter((days) => days > 0)
+    .sort((a, b) => a - b);
+};
+
+// Expected events at or above `magnitude` from the mainshock to `days`. The
+// regional Omori K is pooled over many sequences, so productivity comes from
+// the mainshock magnitude through the Reasenberg-Jones rate.
+export const expectedObserved = ({ omori, gr }, mainshockMagnitude, magnitude, days) =>
+  days > 0 ? reasenbergJonesCount(omori, gr, mainshockMagnitude, magnitude, 0, days).count : 0;
+
+// Central `level` interval of a Poisson count with the given mean
+export const poissonInterval = (mean, level = 0.95) => {
+  const tail = (1 - level) / 2;
+
+  if (mean > POISSON_NORMAL_THRESHOLD) {
+    const spread = 1.96 * Math.sqrt(mean);
+    return [Math.max(0, Math.floor(mean - spread)), Math.ceil(mean + spread)];
+  }
+
+  let k = 0;
+  let pmf = Math.exp(-mean);
+  let cdf = pmf;
+  let low = null;
+  while (cdf < 1 - tail) {
+    if (low === null && cdf >= tail) low = k;
+    k += 1;
+    pmf *= mean / k;
+    cdf += pmf;
+  }
+  return [low ?? k, k];
+};
+
+// How the observed count compares with the forecast's Poisson 95% range
+export const assessObservedFit = (observed, expected) => {
+  const [low, high] = poissonInterval(expected);
+  let status = 'consistent';
+  if (observed > high) status = 'hotter';
+  else if (observed < low) status = 'colder';
+
+  return { observed, expected, low, high, status };
+};
+
+// Expected curve with its Poisson range, sampled over the span, for charts
+export const expectedCurve = (parameters, mainshockMagnitude, magnitude, spanDays, samples = 60) => {
+  return Array.from({ length: samples + 1 }, (_, idx) => {
+    const days = (spanDays * idx) / samples;
+    const expected = expectedObserved(parameters, mainshockMagnitude, magnitude, days);
+    const [low, high] = poissonInterval(expected);
+    return { days, expected, low, high };
+  });
+};
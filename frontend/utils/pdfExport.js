@@ -42,7 +42,12 @@ export const generateAftershockPDF = (earthquake, predictions) => {
   doc.setTextColor(255, 255, 255);
   doc.setFontSize(20);
   doc.setFont('helvetica', 'bold');
-  doc.text('Aftershock Forecast Report', pageWidth / 2, 25, { align: 'center' });
+  doc.text(
+    earthquake.isScenario ? 'Scenario Forecast Report' : 'Aftershock Forecast Report',
+    pageWidth / 2,
+    25,
+    { align: 'center' }
+  );
   doc.setFontSize(10);
   doc.setFont('helvetica', 'normal');
   doc.text('Generated by Aftershock Monitor', pageWidth / 2, 32, { align: 'center' });
@@ -52,6 +57,9 @@ export const generateAftershockPDF = (earthquake, predictions) => {
 
   // Mainshock Information
   addSection('Mainshock Information');
+  if (earthquake.isScenario) {
+    addText('HYPOTHETICAL SCENARIO - not a real earthquake', 12, true);
+  }
   addText(`Magnitude: ${formatMagnitude(earthquake.magnitude)}`, 12, true);
   addText(`Location: ${earthquake.place}`);
   addText(`Coordinates: ${formatCoordinates(earthquake.latitude, earthquake.longitude)}`);
@@ -143,6 +151,23 @@ export const generateAftershockPDF = (earthquake, predictions) => {
 
   checkPageBreak();
 
+  // Largest Aftershock
+  const largest = predictions.largest_aftershock;
+  if (largest) {
+    addSection('Largest Aftershock');
+    yPosition += 5;
+    addText(
+      `Most likely largest: M${largest.most_likely_magnitude.toFixed(1)} (90% range M${largest.magnitude_range[0].toFixed(1)}-${largest.magnitude_range[1].toFixed(1)})`,
+      10
+    );
+    addText(
+      `Chance of a later event at or above the mainshock: ${(largest.mainshock_exceedance_probability * 100).toFixed(1)}%`,
+      10
+    );
+
+    checkPageBreak();
+  }
+
   // Model Information
   addSection('Model Information');
   const model = predictions.model_info;
@@ -184,6 +209,6 @@ export const generateAftershockPDF = (earthquake, predictions) => {
   }
 
   // Save the PDF
-  const fileName = `aftershock_report_${formatMagnitude(earthquake.magnitude)}_${new Date().toISOString().split('T')[0]}.pdf`;
+  const fileName = `${earthquake.isScenario ? 'scenario' : 'aftershock'}_report_${formatMagnitude(earthquake.magnitude)}_${new Date().toISOString().split('T')[0]}.pdf`;
   doc.save(fileName);
 };
@@ -0,0 +1,74 @@
+// Fraction of the playback span over which a new event fades in
+const FADE_IN_FRACTION = 0.02;
+
+// Fraction of the playback span after which an event is fully aged out
+const AGE_OUT_FRACTION = 0.25;
+
+// Color that aged events settle into
+const AGED_COLOR = '#6b7280';
+
+// Event time in epoch milliseconds
+export const getEventTime = (earthquake) => new Date(earthquake.time).getTime();
+
+// Earliest and latest event times in the catalog
+export const getTimeRange = (earthquakes) => {
+  if (!earthquakes || earthquakes.length === 0) return [null, null];
+
+  let start = Infinity;
+  let end = -Infinity;
+  earthquakes.forEach((eq) => {
+    const t = getEventTime(eq);
+    if (t < start) start = t;
+    if (t > end) end = t;
+  });
+
+  return [start, end];
+};
+
+// Events sorted newest first with their times in epoch milliseconds, built
+// once per catalog so playback ticks only search it
+export const buildTimeline = (earthquakes) => {
+  const entries = earthquakes
+    .map((eq) => ({ eq, time: getEventTime(eq) }))
+    .sort((a, b) => b.time - a.time);
+
+  return {
+    events: entries.map((entry) => entry.eq),
+    times: entries.map((entry) => entry.time),
+  };
+};
+
+// Events that have occurred by the playhead, newest first
+export const getEventsUpTo = ({ events, times }, playhead) => {
+  // First index at or before the playhead; times are descending
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (times[mid] > playhead) low = mid + 1;
+    else high = mid;
+  }
+  return events.slice(low);
+};
+
+// Linear blend between two #rrggbb colors
+const mixColors = (from, to, t) => {
+  const parse = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  const a = parse(from);
+  const b = parse(to);
+  const mixed = a.map((v, i) => Math.round(v + (b[i] - v) * t));
+  return `#${mixed.map((v) => v.toString(16).padStart(2, '0')).join('')}`;
+};
+
+// Marker color and opacity for an event at the current playhead
+export const getPlaybackStyle = (earthquake, baseColor, playhead, span) => {
+  const age = Math.max(0, playhead - getEventTime(earthquake));
+  const spanMs = Math.max(span, 1);
+  const fadeIn = Math.min(1, age / (spanMs * FADE_IN_FRACTION));
+  const agedOut = Math.min(1, age / (spanMs * AGE_OUT_FRACTION));
+
+  return {
+    color: mixColors(baseColor, AGED_COLOR, agedOut),
+    opacity: 0.15 + 0.85 * fadeIn,
+  };
+};
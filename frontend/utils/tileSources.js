@@ -0,0 +1,80 @@
+import { API_BASE_URL } from './api';
+
+// Base map styles. Every URL can be overridden at build time so the map works
+// on networks that cannot reach the public tile providers.
+
+// Place-name overlay drawn over the satellite imagery. Replacing the imagery
+// without also setting the labels URL drops the overlay rather than keep
+// loading it from the public provider.
+const satelliteLabelsUrl =
+  process.env.NEXT_PUBLIC_TILE_LABELS_URL ||
+  (process.env.NEXT_PUBLIC_TILE_SATELLITE_URL
+    ? null
+    : 'https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}');
+
+const baseLayers = [
+  {
+    id: 'satellite',
+    label: 'Satellite',
+    url:
+      process.env.NEXT_PUBLIC_TILE_SATELLITE_URL ||
+      'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    labelsUrl: satelliteLabelsUrl,
+    attribution: '&copy; <a href="https://www.esri.com">Esri</a>',
+  },
+  {
+    id: 'street',
+    label: 'Street',
+    url:
+      process.env.NEXT_PUBLIC_TILE_STREET_URL ||
+      'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  },
+  {
+    id: 'terrain',
+    label: 'Terrain',
+    url:
+      process.env.NEXT_PUBLIC_TILE_TERRAIN_URL ||
+      'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)',
+    maxZoom: 17,
+  },
+  {
+    id: 'dark',
+    label: 'Dark',
+    url:
+      process.env.NEXT_PUBLIC_TILE_DARK_URL ||
+      'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    attribution: '&copy; <a href="https://carto.com/attributions">CARTO</a> &copy; OpenStreetMap contributors',
+  },
+];
+
+// Self-hosted tile server, e.g. http://tiles.internal/styles/basic/{z}/{x}/{y}.png
+if (process.env.NEXT_PUBLIC_TILE_LOCAL_URL) {
+  baseLayers.push({
+    id: 'local',
+    label: process.env.NEXT_PUBLIC_TILE_LOCAL_LABEL || 'Local',
+    url: process.env.NEXT_PUBLIC_TILE_LOCAL_URL,
+    attribution: process.env.NEXT_PUBLIC_TILE_LOCAL_ATTRIBUTION || '',
+  });
+}
+
+// Offline tiles served by the backend from an MBTiles file (see MBTILES_PATH)
+if (process.env.NEXT_PUBLIC_TILE_OFFLINE === 'true') {
+  baseLayers.push({
+    id: 'offline',
+    label: 'Offline',
+    url: `${API_BASE_URL}/api/tiles/{z}/{x}/{y}`,
+    attribution: 'Offline tiles',
+  });
+}
+
+export const BASE_LAYERS = baseLayers;
+
+export const DEFAULT_BASE_LAYER =
+  baseLayers.find((layer) => layer.id === process.env.NEXT_PUBLIC_DEFAULT_BASE_LAYER)?.id ||
+  baseLayers[0].id;
+
+export const getBaseLayer = (id) => {
+  return baseLayers.find((layer) => layer.id === id) || baseLayers[0];
+};
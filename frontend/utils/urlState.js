@@ -0,0 +1,52 @@
+// Query-string state for deep links into the live monitor, e.g.
+// /?event=us7000abcd&days=30&lat=35.12&lon=139.45&z=7
+// /?start=2023-02-06&end=2023-04-06 for a custom date range
+
+import { CUSTOM_TIME_FILTER, isValidDateRange } from '@/utils/catalog';
+
+const parseNumber = (value) => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Read the monitor state from a Next.js router query
+export const parseUrlState = (query, allowedDays) => {
+  const days = parseNumber(query.days);
+  const lat = parseNumber(query.lat);
+  const lon = parseNumber(query.lon);
+  const zoom = parseNumber(query.z);
+  const dateRange = { start: query.start, end: query.end };
+
+  return {
+    eventId: typeof query.event === 'string' && query.event ? query.event : null,
+    days: days !== null && allowedDays.includes(days) ? days : null,
+    dateRange: isValidDateRange(dateRange) ? dateRange : null,
+    center:
+      lat !== null && lon !== null && Math.abs(lat) <= 90 && Math.abs(lon) <= 180
+        ? [lat, lon]
+        : null,
+    zoom: zoom !== null && zoom >= 0 && zoom <= 19 ? zoom : null,
+  };
+};
+
+// Build the query for the current monitor state
+export const buildUrlQuery = ({ selectedEarthquake, timeFilter, dateRange, view }) => {
+  const query =
+    timeFilter === CUSTOM_TIME_FILTER
+      ? { start: dateRange.start, end: dateRange.end }
+      : { days: String(timeFilter) };
+
+  // Scenarios are not real events and cannot be fetched back
+  if (selectedEarthquake && !selectedEarthquake.isScenario) {
+    query.event = selectedEarthquake.id;
+  }
+
+  if (view) {
+    query.lat = view.center[0].toFixed(4);
+    query.lon = view.center[1].toFixed(4);
+    query.z = String(Math.round(view.zoom));
+  }
+
+  return query;
+};
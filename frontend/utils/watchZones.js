@@ -0,0 +1,80 @@
+import { distanceToSegment, haversineDistance, isPointInPolygon } from '@/utils/geo';
+
+// User-defined watch zones, persisted in localStorage. A zone is
+// { id, name, minMagnitude, type: 'circle', center: [lat, lon], radiusKm }
+// or { id, name, minMagnitude, type: 'polygon', latlngs: [[lat, lon], ...] }.
+
+const ZONES_KEY = 'aftershock-monitor:watch-zones';
+
+export const WATCH_ZONE_COLOR = '#14b8a6';
+export const WATCH_ZONE_ALERT_COLOR = '#ef4444';
+
+export const loadWatchZones = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(ZONES_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveWatchZones = (zones) => {
+  try {
+    window.localStorage.setItem(ZONES_KEY, JSON.stringify(zones));
+  } catch (error) {
+    console.error('Error saving watch zones:', error);
+  }
+};
+
+export const createWatchZone = (shape, name, minMagnitude) => {
+  const base = { id: `zone-${Date.now()}`, name, minMagnitude };
+  return shape.type === 'circle'
+    ? { ...base, type: 'circle', center: shape.center, radiusKm: shape.radiusKm }
+    : { ...base, type: 'polygon', latlngs: shape.latlngs };
+};
+
+export const isInWatchZone = (lat, lon, zone) => {
+  if (zone.type === 'circle') {
+    return haversineDistance(zone.center, [lat, lon]) <= zone.radiusKm;
+  }
+  return isPointInPolygon(lat, lon, zone.latlngs);
+};
+
+// Zones each event triggers (inside the zone and at or above its threshold),
+// as a Map of event id -> zones; events triggering nothing are left out
+export const getZoneAlerts = (earthquakes, zones) => {
+  const alerts = new Map();
+  if (zones.length === 0) return alerts;
+
+  earthquakes.forEach((eq) => {
+    const hits = zones.filter(
+      (zone) => eq.magnitude >= zone.minMagnitude && isInWatchZone(eq.latitude, eq.longitude, zone)
+    );
+    if (hits.length > 0) alerts.set(eq.id, hits);
+  });
+
+  return alerts;
+};
+
+// Shortest distance (km) from a point to a zone, 0 when the point is inside.
+// For polygons this is the distance to the nearest edge.
+export const distanceToWatchZone = (point, zone) => {
+  if (isInWatchZone(point[0], point[1], zone)) return 0;
+  if (zone.type === 'circle') {
+    return haversineDistance(zone.center, point) - zone.radiusKm;
+  }
+  const { latlngs } = zone;
+  return Math.min(
+    ...latlngs.map((vertex, idx) => distanceToSegment(point, vertex, latlngs[(idx + 1) % latlngs.length]))
+  );
+};
+
+// Zones reaching into the circular hazard area around an event, nearest first
+export const getZonesInHazardArea = (zones, earthquake, radiusKm) => {
+  const epicenter = [earthquake.latitude, earthquake.longitude];
+
+  return zones
+    .map((zone) => ({ zone, distanceKm: distanceToWatchZone(epicenter, zone) }))
+    .filter((item) => item.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+};